@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool that checks test strings against a grammar file with the
+ * Earley parser, for running grammar test suites in scripts and grading
+ * grammars without the web page.
+ *
+ *   cfg check [options] <grammar-file> [<strings-file>]
+ *
+ * The grammar file is in the plain-text format of Grammar.parse() or is a
+ * JSON file exported from the web page. The strings file has one test
+ * string per line, marked with TestCase.EXPECT_MATCH or
+ * TestCase.EXPECT_NO_MATCH to check the result. Without a strings file, the
+ * test strings of a JSON grammar file are checked, and '-' reads them from
+ * the standard input.
+ */
+
+
+var fs = require('fs');
+var cfg = require('../js/cfg.js');
+
+/** Exit code when every expectation passed. */
+var EXIT_PASSED = 0;
+/** Exit code when the result of some test string was not the expected one. */
+var EXIT_FAILED = 1;
+/** Exit code when the arguments or files could not be read. */
+var EXIT_ERROR = 2;
+
+/** Help message printed by --help. */
+var USAGE = [
+  'Usage: cfg check [options] <grammar-file> [<strings-file>]',
+  '',
+  'Checks each line of the strings file against the grammar and prints',
+  'whether the grammar accepts it. A line starting with "+ " expects the rest',
+  'of the line to be accepted and a line starting with "- " expects it to be',
+  'rejected. Exits with code 1 if any expectation fails.',
+  '',
+  'The grammar file has one production per line, such as S -> aSb | ε,',
+  'or is a JSON file exported from the web page, whose test strings are used',
+  'if no strings file is given. A strings file of - reads the standard input.',
+  '',
+  'Options:',
+  '  -d, --derivations  print a leftmost derivation of each accepted string',
+  '  -q, --quiet        only print the failed strings and the summary',
+  '  -h, --help         print this message'
+].join('\n');
+
+
+/**
+ * Error thrown for arguments or files that cannot be read, whose message is
+ * printed to the user.
+ */
+function UsageError(message) {
+  this.name = 'UsageError';
+  this.message = message;
+};
+UsageError.prototype = Object.create(Error.prototype);
+UsageError.prototype.constructor = UsageError;
+
+/**
+ * Reads the command-line arguments after the command name. Returns an object
+ * with the command, the files Array and the derivations and quiet options.
+ */
+function parseArguments(args) {
+  var options = {
+    command: null,
+    files: [],
+    derivations: false,
+    quiet: false,
+    help: false
+  };
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg === '-d' || arg === '--derivations') {
+      options.derivations = true;
+    } else if (arg === '-q' || arg === '--quiet') {
+      options.quiet = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.charAt(0) === '-' && arg !== '-') {
+      throw new UsageError('Unknown option ' + arg);
+    } else if (options.command === null) {
+      options.command = arg;
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+};
+
+/** Returns the text of a file, or of the standard input for '-'. */
+function readFile(file) {
+  try {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf-8');
+  } catch (e) {
+    throw new UsageError('Cannot read ' + file + ': ' + e.message);
+  }
+};
+
+/**
+ * Reads a grammar file. Returns an object whose grammar property is the
+ * Grammar and whose testCases property is the Array of TestCases of a JSON
+ * file, or null for a plain-text file.
+ */
+function readGrammarFile(file) {
+  var text = readFile(file);
+  try {
+    if (text.trim().charAt(0) !== '{') {
+      return {grammar: cfg.Grammar.parse(text), testCases: null};
+    }
+    var grammarDocument;
+    try {
+      grammarDocument = JSON.parse(text);
+    } catch (e) {
+      throw new cfg.GrammarFormatError('The file is not valid JSON. ' +
+                                       e.message);
+    }
+    return cfg.Grammar.readDocument(grammarDocument);
+  } catch (e) {
+    if (!(e instanceof cfg.GrammarSyntaxError) &&
+        !(e instanceof cfg.GrammarFormatError)) {
+      throw e;
+    }
+    throw new UsageError(file + ': ' + e.message);
+  }
+};
+
+/**
+ * Reads the TestCases of a strings file. A line break at the end of the file
+ * does not start another test string.
+ */
+function readStringsFile(file) {
+  var text = readFile(file).replace(/\r?\n$/, '');
+  return text === '' ? [] : cfg.TestCase.parseLines(text);
+};
+
+/**
+ * Returns the lines of text that show the leftmost derivation of a parse
+ * tree, with the nonterminals written as in the grammar file.
+ */
+function formatDerivation(tree, grammar) {
+  var nonterminals = Object.create(null);
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    nonterminals[grammar.nonterminals[i]] = true;
+  }
+  var derivation = tree.getLeftmostDerivation();
+  var lines = [];
+  for (var i = 0; i < derivation.length; i++) {
+    lines.push((i === 0 ? '      ' : '   => ') +
+               derivation[i].toText(nonterminals));
+  }
+  return lines;
+};
+
+/**
+ * Checks the TestCases against the Grammar and prints one line per test
+ * string followed by a summary. Returns the exit code.
+ */
+function checkStrings(grammar, testCases, options) {
+  var earley = new cfg.Earley(grammar);
+  var accepted = 0;
+  var passed = 0;
+  var failed = 0;
+  for (var i = 0; i < testCases.length; i++) {
+    var str = testCases[i].string;
+    var isMatch = !!earley.getMatchState(str);
+    var passes = testCases[i].passes(isMatch);
+    if (isMatch) {
+      accepted++;
+    }
+    var verdict = '    ';
+    if (passes === true) {
+      passed++;
+      verdict = 'PASS';
+    } else if (passes === false) {
+      failed++;
+      verdict = 'FAIL';
+    }
+    if (options.quiet && passes !== false) {
+      continue;
+    }
+    console.log((i + 1) + '\t' + (isMatch ? 'accept' : 'reject') + '  ' +
+                verdict + '  ' + JSON.stringify(str));
+    if (options.derivations && isMatch) {
+      var tree = earley.getParseTrees(str, 1)[0];
+      console.log(formatDerivation(tree, grammar).join('\n'));
+    }
+  }
+  var summary = testCases.length +
+                (testCases.length === 1 ? ' string: ' : ' strings: ') +
+                accepted + ' accepted, ' + (testCases.length - accepted) +
+                ' rejected.';
+  if (passed + failed !== 0) {
+    summary += ' ' + passed + ' passed, ' + failed + ' failed.';
+  }
+  console.log(summary);
+  return failed === 0 ? EXIT_PASSED : EXIT_FAILED;
+};
+
+/**
+ * Runs the tool with the command-line arguments after the program name and
+ * returns the exit code.
+ */
+function main(args) {
+  try {
+    var options = parseArguments(args);
+    if (options.help) {
+      console.log(USAGE);
+      return EXIT_PASSED;
+    }
+    if (options.command !== 'check') {
+      throw new UsageError(options.command === null ? 'Missing command' :
+                           'Unknown command ' + options.command);
+    }
+    if (options.files.length < 1 || options.files.length > 2) {
+      throw new UsageError('Expected a grammar file and a strings file');
+    }
+    var grammarFile = readGrammarFile(options.files[0]);
+    var testCases = grammarFile.testCases;
+    if (options.files.length === 2) {
+      testCases = readStringsFile(options.files[1]);
+    } else if (testCases === null) {
+      throw new UsageError('Expected a strings file for ' + options.files[0]);
+    }
+    return checkStrings(grammarFile.grammar, testCases, options);
+  } catch (e) {
+    if (!(e instanceof UsageError)) {
+      throw e;
+    }
+    console.error('cfg: ' + e.message);
+    console.error('Run cfg --help for usage.');
+    return EXIT_ERROR;
+  }
+};
+
+process.exitCode = main(process.argv.slice(2));
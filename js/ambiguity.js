@@ -0,0 +1,69 @@
+/**
+ * Detection of ambiguity in a context-free grammar (CFG), i.e. strings that
+ * have more than one parse tree. Parse trees are listed from the ParseForest
+ * of each string.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var Earley = require('./earley.js').Earley;
+  var forEachString = require('./equivalence.js').forEachString;
+  require('./forest.js');
+}
+
+
+/** Maximum number of strings checked by findShortestAmbiguousString(). */
+Earley.AMBIGUITY_SEARCH_LIMIT = 5000;
+
+/**
+ * Returns an Array of up to maxCount distinct parse trees for the input
+ * string, which is empty if the string does not match.
+ */
+Earley.prototype.getParseTrees = function(input, maxCount) {
+  return this.getParseForest(input).getTrees(maxCount);
+};
+
+/**
+ * Returns true if the input string has more than one parse tree, including
+ * when a cyclic grammar gives it infinitely many.
+ */
+Earley.prototype.isAmbiguous = function(input) {
+  return hasSeveralTrees(this.getParseForest(input));
+};
+
+/**
+ * Checks the strings made of the grammar's terminals, in order of length up
+ * to maxLength characters, for the shortest string with two distinct parse
+ * trees. Returns an object whose string property is that string, or null if
+ * none was found, and whose trees property holds the two trees. The checked
+ * property counts the strings checked, and limitReached is true if the
+ * search stopped after Earley.AMBIGUITY_SEARCH_LIMIT strings.
+ */
+Earley.prototype.findShortestAmbiguousString = function(maxLength) {
+  var self = this;
+  var result = {string: null, trees: [], checked: 0, limitReached: false};
+  forEachString(this.grammar.getTerminals(), maxLength, function(str) {
+    if (result.checked === Earley.AMBIGUITY_SEARCH_LIMIT) {
+      result.limitReached = true;
+      return true;
+    }
+    result.checked++;
+    var forest = self.getParseForest(str);
+    if (hasSeveralTrees(forest)) {
+      result.string = str;
+      result.trees = forest.getTrees(2);
+      return true;
+    }
+    return false;
+  });
+  return result;
+};
+
+/**
+ * Returns true if the ParseForest holds more than one parse tree. The count
+ * is Infinity for a cyclic grammar, which is more than one as well.
+ */
+function hasSeveralTrees(forest) {
+  var count = forest.countTrees();
+  return count === Infinity || count > BigInt(1);
+};
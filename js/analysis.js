@@ -0,0 +1,315 @@
+/**
+ * Analysis of a context-free grammar (CFG): the nullable nonterminals, the
+ * FIRST and FOLLOW sets used to build LL(1) parsers, and warnings about
+ * mistakes such as nonterminals that can never be used.
+ *
+ * Sets of terminals are objects whose keys are the terminal names and whose
+ * values are true. Each analysis is computed by iterating until nothing
+ * changes, so grammars with left recursion or cycles are handled.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var Symbol = require('./grammar.js').Symbol;
+  var Grammar = require('./grammar.js').Grammar;
+}
+
+
+/**
+ * Key of the end-of-input marker in FOLLOW sets. No terminal has an empty
+ * name, so it cannot collide with a terminal.
+ */
+Grammar.END_MARKER = '';
+
+/**
+ * Returns an object whose keys are the nonterminals that derive the empty
+ * string. A nonterminal without a Production is never nullable.
+ */
+Grammar.prototype.getNullable = function() {
+  var nullable = Object.create(null);
+  var changed = true;
+  while (changed) {
+    changed = false;
+    for (var i = 0; i < this.nonterminals.length; i++) {
+      var nonterminal = this.nonterminals[i];
+      if (nullable[nonterminal]) {
+        continue;
+      }
+      var rhs = this.productions[nonterminal].rhs;
+      for (var j = 0; j < rhs.length; j++) {
+        if (isNullableSequence(rhs[j].symbols, 0, nullable)) {
+          nullable[nonterminal] = true;
+          changed = true;
+          break;
+        }
+      }
+    }
+  }
+  return nullable;
+};
+
+/**
+ * Returns an object mapping each nonterminal to its FIRST set, the terminals
+ * that can begin a string derived from it. Pass in the result of
+ * getNullable() to avoid computing it again.
+ */
+Grammar.prototype.getFirstSets = function(opt_nullable) {
+  var nullable = opt_nullable || this.getNullable();
+  var first = Object.create(null);
+  for (var i = 0; i < this.nonterminals.length; i++) {
+    first[this.nonterminals[i]] = Object.create(null);
+  }
+  var changed = true;
+  while (changed) {
+    changed = false;
+    for (var i = 0; i < this.nonterminals.length; i++) {
+      var nonterminal = this.nonterminals[i];
+      var rhs = this.productions[nonterminal].rhs;
+      for (var j = 0; j < rhs.length; j++) {
+        var sequenceFirst = getSequenceFirst(rhs[j].symbols, 0, first,
+                                             nullable);
+        if (addAll(first[nonterminal], sequenceFirst)) {
+          changed = true;
+        }
+      }
+    }
+  }
+  return first;
+};
+
+/**
+ * Returns an object mapping each nonterminal to its FOLLOW set, the terminals
+ * that can appear immediately after it in a sentential form. The FOLLOW set
+ * of the start symbol and of anything that can end a sentential form also
+ * contains Grammar.END_MARKER. Pass in the results of getFirstSets() and
+ * getNullable() to avoid computing them again.
+ */
+Grammar.prototype.getFollowSets = function(opt_first, opt_nullable) {
+  var nullable = opt_nullable || this.getNullable();
+  var first = opt_first || this.getFirstSets(nullable);
+  var follow = Object.create(null);
+  for (var i = 0; i < this.nonterminals.length; i++) {
+    follow[this.nonterminals[i]] = Object.create(null);
+  }
+  if (follow[this.startSymbol.ch]) {
+    follow[this.startSymbol.ch][Grammar.END_MARKER] = true;
+  }
+  var changed = true;
+  while (changed) {
+    changed = false;
+    for (var i = 0; i < this.nonterminals.length; i++) {
+      var lhs = this.nonterminals[i];
+      var rhs = this.productions[lhs].rhs;
+      for (var j = 0; j < rhs.length; j++) {
+        var symbols = rhs[j].symbols;
+        for (var k = 0; k < symbols.length; k++) {
+          var symbol = symbols[k];
+          if (symbol.isTerminal || !follow[symbol.ch]) {
+            continue;
+          }
+          // Whatever can begin the rest of the rule follows the nonterminal,
+          // and so does FOLLOW(lhs) if the rest of the rule can vanish.
+          var target = follow[symbol.ch];
+          if (addAll(target, getSequenceFirst(symbols, k + 1, first,
+                                              nullable))) {
+            changed = true;
+          }
+          if (isNullableSequence(symbols, k + 1, nullable) &&
+              addAll(target, follow[lhs])) {
+            changed = true;
+          }
+        }
+      }
+    }
+  }
+  return follow;
+};
+
+/**
+ * Returns an object whose keys are the nonterminals that derive at least one
+ * string of terminals.
+ */
+Grammar.prototype.getProductive = function() {
+  var productive = Object.create(null);
+  var changed = true;
+  while (changed) {
+    changed = false;
+    for (var i = 0; i < this.nonterminals.length; i++) {
+      var nonterminal = this.nonterminals[i];
+      if (productive[nonterminal]) {
+        continue;
+      }
+      var rhs = this.productions[nonterminal].rhs;
+      for (var j = 0; j < rhs.length; j++) {
+        if (isProductiveSequence(rhs[j].symbols, productive)) {
+          productive[nonterminal] = true;
+          changed = true;
+          break;
+        }
+      }
+    }
+  }
+  return productive;
+};
+
+/**
+ * Returns an object whose keys are the nonterminals that appear in some
+ * sentential form derived from the start symbol, including the start symbol.
+ */
+Grammar.prototype.getReachable = function() {
+  var reachable = Object.create(null);
+  reachable[this.startSymbol.ch] = true;
+  var queue = [this.startSymbol.ch];
+  while (queue.length !== 0) {
+    var production = this.productions[queue.shift()];
+    if (!production) {
+      continue;
+    }
+    for (var i = 0; i < production.rhs.length; i++) {
+      var symbols = production.rhs[i].symbols;
+      for (var j = 0; j < symbols.length; j++) {
+        if (!symbols[j].isTerminal && !reachable[symbols[j].ch]) {
+          reachable[symbols[j].ch] = true;
+          queue.push(symbols[j].ch);
+        }
+      }
+    }
+  }
+  return reachable;
+};
+
+/**
+ * Returns an Array of warnings about likely mistakes in this Grammar. Each
+ * warning is an object whose nonterminal property names the Production it
+ * belongs to and whose message property describes the problem:
+ *
+ *  - A nonterminal that is used but has no Production.
+ *  - A nonterminal that cannot be reached from the start symbol.
+ *  - A nonterminal that derives no string of terminals.
+ *  - An uppercase letter used as a terminal, which usually means that the
+ *    Production for it was forgotten.
+ */
+Grammar.prototype.getWarnings = function() {
+  var warnings = [];
+  var productive = this.getProductive();
+  var reachable = this.getReachable();
+  for (var i = 0; i < this.nonterminals.length; i++) {
+    var nonterminal = this.nonterminals[i];
+    var name = new Symbol(nonterminal, false).getName();
+    var reported = Object.create(null);
+    var rhs = this.productions[nonterminal].rhs;
+    for (var j = 0; j < rhs.length; j++) {
+      var symbols = rhs[j].symbols;
+      for (var k = 0; k < symbols.length; k++) {
+        var symbol = symbols[k];
+        var key = (symbol.isTerminal ? 't' : 'n') + symbol.ch;
+        if (reported[key]) {
+          continue;
+        }
+        if (!symbol.isTerminal && !this.productions[symbol.ch]) {
+          warnings.push({
+            nonterminal: nonterminal,
+            message: 'Nonterminal ' + symbol.getName() + ' has no production.'
+          });
+          reported[key] = true;
+        } else if (symbol.isTerminal && /^[A-Z]$/.test(symbol.ch)) {
+          warnings.push({
+            nonterminal: nonterminal,
+            message: symbol.ch + ' is a terminal because it has no ' +
+                     'production. Did you mean to add one?'
+          });
+          reported[key] = true;
+        }
+      }
+    }
+    if (!reachable[nonterminal]) {
+      warnings.push({
+        nonterminal: nonterminal,
+        message: name + ' cannot be reached from the start symbol.'
+      });
+    }
+    if (!productive[nonterminal]) {
+      warnings.push({
+        nonterminal: nonterminal,
+        message: name + ' does not derive any string of terminals.'
+      });
+    }
+  }
+  return warnings;
+};
+
+/**
+ * Returns true if every Symbol is a terminal or a productive nonterminal.
+ */
+function isProductiveSequence(symbols, productive) {
+  for (var i = 0; i < symbols.length; i++) {
+    if (!symbols[i].isTerminal && !productive[symbols[i].ch]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Returns true if every Symbol from index start onwards is a nullable
+ * nonterminal. An empty sequence is nullable.
+ */
+function isNullableSequence(symbols, start, nullable) {
+  for (var i = start; i < symbols.length; i++) {
+    if (symbols[i].isTerminal || !nullable[symbols[i].ch]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Returns the FIRST set of the Symbols from index start onwards.
+ */
+function getSequenceFirst(symbols, start, first, nullable) {
+  var set = Object.create(null);
+  for (var i = start; i < symbols.length; i++) {
+    var symbol = symbols[i];
+    if (symbol.isTerminal) {
+      set[symbol.ch] = true;
+      break;
+    }
+    addAll(set, first[symbol.ch] || {});
+    if (!nullable[symbol.ch]) {
+      break;
+    }
+  }
+  return set;
+};
+
+/**
+ * Adds every key of source to target. Returns true if target changed.
+ */
+function addAll(target, source) {
+  var changed = false;
+  for (var key in source) {
+    if (!target[key]) {
+      target[key] = true;
+      changed = true;
+    }
+  }
+  return changed;
+};
+
+/**
+ * Returns a sorted Array of the names of the terminals used in this Grammar.
+ */
+Grammar.prototype.getTerminals = function() {
+  var terminals = Object.create(null);
+  for (var i = 0; i < this.nonterminals.length; i++) {
+    var rhs = this.productions[this.nonterminals[i]].rhs;
+    for (var j = 0; j < rhs.length; j++) {
+      for (var k = 0; k < rhs[j].symbols.length; k++) {
+        if (rhs[j].symbols[k].isTerminal) {
+          terminals[rhs[j].symbols[k].ch] = true;
+        }
+      }
+    }
+  }
+  return Object.keys(terminals).sort();
+};
@@ -0,0 +1,263 @@
+/**
+ * Benchmark page for the Earley parser. Times Earley.prototype.recognize()
+ * and the parsing done by the grammar web page for each test string on long
+ * inputs, against getBaselineChart(), the parser as it was before the chart
+ * was indexed.
+ */
+
+
+/**
+ * A Context without indexes, whose getState() scans the whole set of States
+ * like it did before the chart was indexed.
+ */
+function LinearContext(input) {
+  Context.call(this, input);
+};
+LinearContext.prototype = Object.create(Context.prototype);
+LinearContext.prototype.constructor = LinearContext;
+
+LinearContext.prototype.getState = function(state, inputIndex) {
+  var states = this.states[inputIndex];
+  for (var i = 0; i < states.length; i++) {
+    if (states[i].equals(state)) {
+      return states[i];
+    }
+  }
+  return null;
+};
+
+LinearContext.prototype.indexState = function(state, inputIndex) {
+};
+
+/**
+ * Returns the chart of the input string as Earley.prototype.getChart() did
+ * before the chart was indexed. Every State of a set is examined again until
+ * nothing more is added to the set, and each completion scans the whole set
+ * at its origin for the States waiting for its nonterminal.
+ */
+function getBaselineChart(grammar, input) {
+  var context = new LinearContext(input);
+  var startSymArray = new SymArray([grammar.startSymbol]);
+  var startState = new State(State.START_LHS, startSymArray, 0, 0, [], 0);
+  context.addState(startState, 0);
+
+  for (var i = 0; i <= input.length; i++) {
+    var states = context.states[i];
+    for (var j = 0; j < states.length; j++) {
+      var newAddedStates = true;
+      while (newAddedStates) {
+        newAddedStates = false;
+        var len = states.length;
+        for (var k = 0; k < len; k++) {
+          var state = states[k];
+          var nextSymbol = state.getNextSymbol();
+          if (nextSymbol && !nextSymbol.isTerminal) {
+            // PREDICTION
+            var production = grammar.productions[nextSymbol.ch];
+            var rhs = production ? production.rhs : [];
+            for (var l = 0; l < rhs.length; l++) {
+              var next = new State(nextSymbol, rhs[l], 0, i, [state], 0);
+              if (context.addState(next, i)) {
+                newAddedStates = true;
+              }
+            }
+          } else if (state.isComplete()) {
+            // COMPLETION
+            var searchStates = context.states[state.originPosition];
+            var ssLen = searchStates.length;
+            for (var l = 0; l < ssLen; l++) {
+              if (searchStates[l].hasNonterminalNext(state.lhs)) {
+                var next = searchStates[l].getAdvancedState([state]);
+                if (context.addState(next, i)) {
+                  newAddedStates = true;
+                }
+              }
+            }
+          }
+        }
+      }
+
+      var state = states[j];
+      var nextSymbol = state.getNextSymbol();
+      if (nextSymbol && nextSymbol.isTerminal) {
+        // SCANNING
+        var end = i + nextSymbol.ch.length;
+        if (input.substring(i, end) === nextSymbol.ch) {
+          context.addState(state.getAdvancedState([state]), end);
+        }
+      }
+    }
+  }
+  return context;
+};
+
+
+/**
+ * Grammars to time, each with a function that returns an input string of
+ * about the given length that the grammar generates. The lengths are
+ * multiples of 4.
+ */
+runBenchmark.CASES = [
+  {
+    grammar: 'S -> 0S0 | 1S1 | 0 | 1 | ε',
+    getInput: function(length) {
+      var half = '';
+      for (var i = 0; i < length / 2; i++) {
+        half += '011'.charAt(i % 3);
+      }
+      return half + half.split('').reverse().join('');
+    }
+  },
+  {
+    grammar: 'S -> aSb | ε',
+    getInput: function(length) {
+      return repeatString('a', length / 2) + repeatString('b', length / 2);
+    }
+  },
+  {
+    grammar: 'E -> E+T | T\nT -> T*F | F\nF -> (E) | a',
+    getInput: function(length) {
+      return 'a' + repeatString('+a*a', length / 4);
+    }
+  },
+  {
+    grammar: 'S -> aS | ε',
+    getInput: function(length) {
+      return repeatString('a', length);
+    }
+  },
+  {
+    grammar: 'S -> SS | a',
+    getInput: function(length) {
+      return repeatString('a', length);
+    }
+  }
+];
+/** Lengths of the input strings. */
+runBenchmark.LENGTHS = [100, 200, 400, 800];
+/**
+ * Once a run takes longer than this many milliseconds, the longer inputs of
+ * the same grammar and parser are skipped.
+ */
+runBenchmark.TIME_LIMIT = 5000;
+
+/**
+ * Fills the results table with one row per grammar and input length, then
+ * times each row in turn. Each run is started from a timeout, so that the
+ * page shows the results as they come in.
+ */
+function runBenchmark() {
+  var runs = [];
+  var $results = $('#benchmark-results').empty();
+  for (var i = 0; i < runBenchmark.CASES.length; i++) {
+    var benchmarkCase = runBenchmark.CASES[i];
+    var grammar = Grammar.parse(benchmarkCase.grammar);
+    var skipped = {baseline: false, recognizer: false, page: false};
+    for (var j = 0; j < runBenchmark.LENGTHS.length; j++) {
+      var $row = $('<tr>')
+          .append($('<td>').text(j === 0 ? benchmarkCase.grammar : ''))
+          .append($('<td>').text(runBenchmark.LENGTHS[j]))
+          .append($('<td class="baseline">'))
+          .append($('<td class="recognizer">'))
+          .append($('<td class="page">'))
+          .append($('<td class="speedup">'));
+      $results.append($row);
+      runs.push({
+        grammar: grammar,
+        input: benchmarkCase.getInput(runBenchmark.LENGTHS[j]),
+        skipped: skipped,
+        $row: $row
+      });
+    }
+  }
+  $('#run-benchmark').prop('disabled', true);
+  var next = 0;
+  function runNext() {
+    if (next === runs.length) {
+      $('#run-benchmark').prop('disabled', false);
+      return;
+    }
+    runBenchmarkRow(runs[next++]);
+    setTimeout(runNext, 0);
+  }
+  setTimeout(runNext, 0);
+};
+
+/**
+ * Times the parser on one input as it was before the chart was indexed, the
+ * recognizer alone and the parsing done by the web page, and shows the
+ * results in the row of the table.
+ */
+function runBenchmarkRow(run) {
+  var baseline = timeParser(function(grammar, input) {
+    var states = getBaselineChart(grammar, input).states[input.length];
+    for (var i = 0; i < states.length; i++) {
+      if (states[i].isCompleteParse()) {
+        return true;
+      }
+    }
+    return false;
+  }, run, 'baseline');
+  var recognizer = timeParser(function(grammar, input) {
+    return !!new Earley(grammar).getMatchState(input);
+  }, run, 'recognizer');
+  // Like testString() in grammar_view.js, which finds a derivation and
+  // counts the parse trees of each test string.
+  var page = timeParser(function(grammar, input) {
+    var earley = new Earley(grammar);
+    var isMatch = !!earley.doesMatch(input);
+    earley.getParseForest(input).countTrees();
+    return isMatch;
+  }, run, 'page');
+  run.$row.find('.baseline').text(formatTime(baseline));
+  run.$row.find('.recognizer').text(formatTime(recognizer));
+  run.$row.find('.page').text(formatTime(page));
+  if ((baseline && recognizer && baseline.isMatch !== recognizer.isMatch) ||
+      (baseline && page && baseline.isMatch !== page.isMatch)) {
+    run.$row.addClass('danger');
+    run.$row.find('.speedup').text('The parsers disagree');
+  } else if (baseline && recognizer) {
+    run.$row.find('.speedup').text(
+        (baseline.time / Math.max(recognizer.time, 0.1)).toFixed(1) + '×');
+  }
+};
+
+/**
+ * Runs the parse function, which returns whether the input matched, on the
+ * grammar and input of the run. Returns an object with the time taken in
+ * milliseconds and whether the input matched, or null if the parser is
+ * skipped for the grammar of the run. The parser is skipped for longer
+ * inputs once it takes longer than runBenchmark.TIME_LIMIT.
+ */
+function timeParser(parse, run, parser) {
+  if (run.skipped[parser]) {
+    return null;
+  }
+  var start = getTime();
+  var isMatch = parse(run.grammar, run.input);
+  var time = getTime() - start;
+  if (time > runBenchmark.TIME_LIMIT) {
+    run.skipped[parser] = true;
+  }
+  return {time: time, isMatch: isMatch};
+};
+
+/** Returns the text of a table cell for a result of timeParser(). */
+function formatTime(result) {
+  return result ? result.time.toFixed(1) + ' ms' : 'skipped';
+};
+
+/** Returns the current time in milliseconds, as precisely as available. */
+function getTime() {
+  return window.performance && performance.now ? performance.now() :
+         new Date().getTime();
+};
+
+/** Returns the string repeated count times. */
+function repeatString(str, count) {
+  return new Array(count + 1).join(str);
+};
+
+$(document).ready(function() {
+  $('#run-benchmark').click(runBenchmark);
+});
@@ -0,0 +1,43 @@
+/**
+ * Entry point of the grammar model and parsers as a CommonJS module, for use
+ * from Node and bundlers. None of the model files needs a DOM. See the
+ * README for an overview of the API.
+ *
+ *   var cfg = require('cfg-developer');
+ *   var grammar = cfg.Grammar.parse('S -> aSb | ε');
+ *   new cfg.Earley(grammar).getMatchState('aabb');  // A State, or null.
+ */
+
+
+var grammar = require('./grammar.js');
+var earley = require('./earley.js');
+var cyk = require('./cyk.js');
+var parseTree = require('./parse_tree.js');
+var forest = require('./forest.js');
+var exercise = require('./exercise.js');
+var testCase = require('./test_case.js');
+// These add methods to Grammar and Earley.
+require('./analysis.js');
+require('./cnf.js');
+require('./ambiguity.js');
+require('./language.js');
+require('./equivalence.js');
+
+module.exports = {
+  Symbol: grammar.Symbol,
+  SymArray: grammar.SymArray,
+  Production: grammar.Production,
+  Grammar: grammar.Grammar,
+  GrammarSyntaxError: grammar.GrammarSyntaxError,
+  GrammarFormatError: grammar.GrammarFormatError,
+  State: earley.State,
+  Context: earley.Context,
+  Earley: earley.Earley,
+  CYK: cyk.CYK,
+  ParseNode: parseTree.ParseNode,
+  ForestNode: forest.ForestNode,
+  ParseForest: forest.ParseForest,
+  Exercise: exercise.Exercise,
+  ExerciseError: exercise.ExerciseError,
+  TestCase: testCase.TestCase
+};
@@ -0,0 +1,27 @@
+/**
+ * Entry point of the grammar model and parsers as an ES module. It exports
+ * the same classes as cfg.js, which it loads.
+ *
+ *   import {Grammar, Earley} from 'cfg-developer';
+ */
+
+
+import cfg from './cfg.js';
+
+export var Symbol = cfg.Symbol;
+export var SymArray = cfg.SymArray;
+export var Production = cfg.Production;
+export var Grammar = cfg.Grammar;
+export var GrammarSyntaxError = cfg.GrammarSyntaxError;
+export var GrammarFormatError = cfg.GrammarFormatError;
+export var State = cfg.State;
+export var Context = cfg.Context;
+export var Earley = cfg.Earley;
+export var CYK = cfg.CYK;
+export var ParseNode = cfg.ParseNode;
+export var ForestNode = cfg.ForestNode;
+export var ParseForest = cfg.ParseForest;
+export var Exercise = cfg.Exercise;
+export var ExerciseError = cfg.ExerciseError;
+export var TestCase = cfg.TestCase;
+export default cfg;
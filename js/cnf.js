@@ -0,0 +1,435 @@
+/**
+ * Conversion of a context-free grammar (CFG) to Chomsky Normal Form (CNF),
+ * in which every rule has the form A -> BC or A -> a, and only the start
+ * symbol may derive epsilon. Each step of the conversion produces a new
+ * Grammar instance that generates the same language as the one before it.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var Symbol = require('./grammar.js').Symbol;
+  var SymArray = require('./grammar.js').SymArray;
+  var Production = require('./grammar.js').Production;
+  var Grammar = require('./grammar.js').Grammar;
+  require('./analysis.js');
+}
+
+
+/**
+ * Converts this Grammar to Chomsky Normal Form. Returns an Array with one
+ * object per step of the conversion, each with a title, a plain-text
+ * description of what the step changed, and the resulting Grammar. The
+ * Grammar of the last step is in Chomsky Normal Form. This Grammar is not
+ * modified.
+ */
+Grammar.prototype.getCNFSteps = function() {
+  var steps = [];
+  var grammar = this;
+  var transforms = [addNewStart, removeEpsilonRules, removeUnitRules,
+                    removeUselessSymbols, isolateTerminals, binarizeRules];
+  for (var i = 0; i < transforms.length; i++) {
+    var step = transforms[i](grammar);
+    steps.push(step);
+    grammar = step.grammar;
+  }
+  return steps;
+};
+
+/**
+ * Returns a new Grammar in Chomsky Normal Form that generates the same
+ * language as this Grammar.
+ */
+Grammar.prototype.toCNF = function() {
+  var steps = this.getCNFSteps();
+  return steps[steps.length - 1].grammar;
+};
+
+/**
+ * Returns true if this Grammar is in Chomsky Normal Form.
+ */
+Grammar.prototype.isCNF = function() {
+  for (var i = 0; i < this.nonterminals.length; i++) {
+    var nonterminal = this.nonterminals[i];
+    var rhs = this.productions[nonterminal].rhs;
+    for (var j = 0; j < rhs.length; j++) {
+      var symbols = rhs[j].symbols;
+      if (symbols.length === 0) {
+        if (nonterminal !== this.startSymbol.ch) {
+          return false;
+        }
+      } else if (symbols.length === 1) {
+        if (!symbols[0].isTerminal) {
+          return false;
+        }
+      } else if (symbols.length === 2) {
+        if (symbols[0].isTerminal || symbols[1].isTerminal ||
+            symbols[0].equals(this.startSymbol) ||
+            symbols[1].equals(this.startSymbol)) {
+          return false;
+        }
+      } else {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+/**
+ * START: Adds a new start symbol so that the start symbol never appears on
+ * the right hand side of a rule.
+ */
+function addNewStart(grammar) {
+  var used = getUsedNames(grammar);
+  var start = freshName(used, grammar.startSymbol.ch + '0');
+  var result = new Grammar(new Symbol(start, false));
+  addRule(result, start, [grammar.startSymbol]);
+  copyRules(grammar, result);
+  return {
+    title: 'Add a new start symbol',
+    description: 'The new start symbol ' + result.startSymbol.getName() +
+                 ' derives the old start symbol ' +
+                 grammar.startSymbol.getName() + ', so the start symbol ' +
+                 'never appears on the right hand side of a rule.',
+    grammar: result
+  };
+}
+
+/**
+ * DEL: Removes every epsilon rule. Each rule that uses a nullable nonterminal
+ * gets a copy with that occurrence left out. The start symbol keeps an
+ * epsilon rule if the language contains the empty string.
+ */
+function removeEpsilonRules(grammar) {
+  var nullable = grammar.getNullable();
+  var result = new Grammar(grammar.startSymbol);
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    var nonterminal = grammar.nonterminals[i];
+    var rhs = grammar.productions[nonterminal].rhs;
+    result.addProduction(new Production(new Symbol(nonterminal, false)));
+    for (var j = 0; j < rhs.length; j++) {
+      var choices = getNullableChoices(rhs[j].symbols, nullable);
+      for (var k = 0; k < choices.length; k++) {
+        if (choices[k].length !== 0) {
+          addRule(result, nonterminal, choices[k]);
+        }
+      }
+    }
+  }
+  var description;
+  var names = getDisplayNames(grammar.nonterminals, nullable);
+  if (names.length === 0) {
+    description = 'There are no nullable nonterminals, so there are no ' +
+                  'ε-rules to remove.';
+  } else {
+    description = 'The nullable nonterminals are ' + names.join(', ') +
+                  '. Every ε-rule is removed, and every rule that ' +
+                  'uses a nullable nonterminal gets a copy with it left out.';
+  }
+  if (nullable[grammar.startSymbol.ch]) {
+    addRule(result, grammar.startSymbol.ch, []);
+    description += ' The start symbol keeps its ε-rule because the ' +
+                   'language contains the empty string.';
+  }
+  return {
+    title: 'Remove ε-rules',
+    description: description,
+    grammar: result
+  };
+}
+
+/**
+ * UNIT: Replaces every unit rule A -> B with the rules of B, following
+ * chains of unit rules.
+ */
+function removeUnitRules(grammar) {
+  var result = new Grammar(grammar.startSymbol);
+  var removed = [];
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    var nonterminal = grammar.nonterminals[i];
+    result.addProduction(new Production(new Symbol(nonterminal, false)));
+    // Every nonterminal reachable through unit rules contributes its
+    // non-unit rules.
+    var reached = Object.create(null);
+    reached[nonterminal] = true;
+    var queue = [nonterminal];
+    while (queue.length !== 0) {
+      var production = grammar.productions[queue.shift()];
+      if (!production) {
+        continue;
+      }
+      for (var j = 0; j < production.rhs.length; j++) {
+        var symbols = production.rhs[j].symbols;
+        if (isUnitRule(symbols)) {
+          if (production.lhs.ch === nonterminal) {
+            removed.push(new Production(production.lhs, [production.rhs[j]])
+                             .toText(grammar.productions));
+          }
+          if (!reached[symbols[0].ch]) {
+            reached[symbols[0].ch] = true;
+            queue.push(symbols[0].ch);
+          }
+        } else {
+          addRule(result, nonterminal, symbols);
+        }
+      }
+    }
+  }
+  return {
+    title: 'Remove unit rules',
+    description: removed.length === 0 ?
+        'There are no unit rules to remove.' :
+        'Each unit rule is replaced by the rules of the nonterminal that it ' +
+        'derives. Removed: ' + removed.join(', ') + '.',
+    grammar: result
+  };
+}
+
+/**
+ * Removes the nonterminals that derive no string of terminals, and then
+ * the nonterminals that can no longer be reached from the start symbol.
+ */
+function removeUselessSymbols(grammar) {
+  var productive = grammar.getProductive();
+  var trimmed = new Grammar(grammar.startSymbol);
+  copyRules(grammar, trimmed, productive);
+  var reachable = trimmed.getReachable();
+  var result = new Grammar(grammar.startSymbol);
+  copyRules(trimmed, result, reachable);
+
+  var unproductive = [];
+  var unreachable = [];
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    var name = new Symbol(grammar.nonterminals[i], false).getName();
+    if (!productive[grammar.nonterminals[i]]) {
+      unproductive.push(name);
+    } else if (!reachable[grammar.nonterminals[i]]) {
+      unreachable.push(name);
+    }
+  }
+  var description = '';
+  if (unproductive.length !== 0) {
+    description += 'Removed ' + unproductive.join(', ') + ', which ' +
+                   'derive no string of terminals. ';
+  }
+  if (unreachable.length !== 0) {
+    description += 'Removed ' + unreachable.join(', ') + ', which ' +
+                   'cannot be reached from the start symbol. ';
+  }
+  return {
+    title: 'Remove useless nonterminals',
+    description: description === '' ?
+        'Every nonterminal is reachable and derives a string of terminals.' :
+        description.trim(),
+    grammar: result
+  };
+}
+
+/**
+ * TERM: Replaces each terminal in a rule of two or more Symbols with a new
+ * nonterminal that derives only that terminal.
+ */
+function isolateTerminals(grammar) {
+  var used = getUsedNames(grammar);
+  var replacements = Object.create(null);
+  var added = [];
+  var result = new Grammar(grammar.startSymbol);
+  copyRules(grammar, result);
+  for (var i = 0; i < result.nonterminals.length; i++) {
+    var rhs = result.productions[result.nonterminals[i]].rhs;
+    for (var j = 0; j < rhs.length; j++) {
+      if (rhs[j].symbols.length < 2) {
+        continue;
+      }
+      var symbols = [];
+      for (var k = 0; k < rhs[j].symbols.length; k++) {
+        var symbol = rhs[j].symbols[k];
+        if (symbol.isTerminal) {
+          if (!replacements[symbol.ch]) {
+            var suffix = /^[A-Za-z0-9_']+$/.test(symbol.ch) ?
+                             symbol.ch : '' + added.length;
+            var name = freshName(used, 'T_' + suffix);
+            replacements[symbol.ch] = new Symbol(name, false);
+            added.push(name);
+            addRule(result, name, [symbol]);
+          }
+          symbol = replacements[symbol.ch];
+        }
+        symbols.push(symbol);
+      }
+      rhs[j] = new SymArray(symbols);
+    }
+  }
+  var rules = [];
+  for (var i = 0; i < added.length; i++) {
+    rules.push(result.productions[added[i]].toText(result.productions));
+  }
+  return {
+    title: 'Isolate terminals',
+    description: added.length === 0 ?
+        'Every terminal is already alone on the right hand side of its rule.' :
+        'Each terminal in a rule with two or more symbols is replaced by a ' +
+        'new nonterminal that derives only that terminal: ' +
+        rules.join(', ') + '.',
+    grammar: result
+  };
+}
+
+/**
+ * BIN: Splits every rule A -> X1 X2 ... Xn with n > 2 into the chain of
+ * rules A -> X1 A_1, A_1 -> X2 A_2, ..., A_(n-2) -> X(n-1) Xn, where the
+ * numbering continues across the rules of A.
+ */
+function binarizeRules(grammar) {
+  var used = getUsedNames(grammar);
+  var count = 0;
+  var result = new Grammar(grammar.startSymbol);
+  copyRules(grammar, result);
+  var length = result.nonterminals.length;
+  for (var i = 0; i < length; i++) {
+    var nonterminal = result.nonterminals[i];
+    var rhs = result.productions[nonterminal].rhs;
+    var index = 0;
+    for (var j = 0; j < rhs.length; j++) {
+      var symbols = rhs[j].symbols;
+      if (symbols.length <= 2) {
+        continue;
+      }
+      count++;
+      var lhs = nonterminal;
+      for (var k = 0; k < symbols.length - 2; k++) {
+        var name = freshName(used, nonterminal + '_' + (++index));
+        var next = new Symbol(name, false);
+        if (k === 0) {
+          rhs[j] = new SymArray([symbols[k], next]);
+        } else {
+          addRule(result, lhs, [symbols[k], next]);
+        }
+        lhs = name;
+      }
+      addRule(result, lhs, symbols.slice(symbols.length - 2));
+    }
+  }
+  return {
+    title: 'Split long rules',
+    description: count === 0 ?
+        'Every rule already has at most two symbols on its right hand side.' :
+        'Each rule with more than two symbols is split into a chain of ' +
+        'rules with two symbols each, using new nonterminals.',
+    grammar: result
+  };
+}
+
+/**
+ * Adds the rule lhs -> symbols to the grammar.
+ */
+function addRule(grammar, lhs, symbols) {
+  grammar.addProduction(new Production(new Symbol(lhs, false),
+                                       [new SymArray(symbols)]));
+}
+
+/**
+ * Copies every rule of the source Grammar to the target Grammar. If
+ * opt_keep is given, only the rules whose nonterminals are all keys of
+ * opt_keep are copied.
+ */
+function copyRules(source, target, opt_keep) {
+  for (var i = 0; i < source.nonterminals.length; i++) {
+    var nonterminal = source.nonterminals[i];
+    if (opt_keep && !opt_keep[nonterminal]) {
+      continue;
+    }
+    target.addProduction(new Production(new Symbol(nonterminal, false)));
+    var rhs = source.productions[nonterminal].rhs;
+    for (var j = 0; j < rhs.length; j++) {
+      if (!opt_keep || keepsAll(rhs[j].symbols, opt_keep)) {
+        addRule(target, nonterminal, rhs[j].symbols);
+      }
+    }
+  }
+}
+
+/**
+ * Returns true if every nonterminal in symbols is a key of keep.
+ */
+function keepsAll(symbols, keep) {
+  for (var i = 0; i < symbols.length; i++) {
+    if (!symbols[i].isTerminal && !keep[symbols[i].ch]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns every Array of Symbols obtained by leaving out any subset of the
+ * nullable nonterminals in symbols.
+ */
+function getNullableChoices(symbols, nullable) {
+  var choices = [[]];
+  for (var i = 0; i < symbols.length; i++) {
+    var length = choices.length;
+    var canOmit = !symbols[i].isTerminal && nullable[symbols[i].ch];
+    for (var j = 0; j < length; j++) {
+      if (canOmit) {
+        choices.push(choices[j].slice());
+      }
+      choices[j].push(symbols[i]);
+    }
+  }
+  return choices;
+}
+
+/**
+ * Returns true if the rule consists of a single nonterminal.
+ */
+function isUnitRule(symbols) {
+  return symbols.length === 1 && !symbols[0].isTerminal;
+}
+
+/**
+ * Returns the display names of the nonterminals that are keys of set.
+ */
+function getDisplayNames(nonterminals, set) {
+  var names = [];
+  for (var i = 0; i < nonterminals.length; i++) {
+    if (set[nonterminals[i]]) {
+      names.push(new Symbol(nonterminals[i], false).getName());
+    }
+  }
+  return names;
+}
+
+/**
+ * Returns an object whose keys are all nonterminal names in the grammar,
+ * including ones that are used but have no Production.
+ */
+function getUsedNames(grammar) {
+  var used = Object.create(null);
+  used[grammar.startSymbol.ch] = true;
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    var nonterminal = grammar.nonterminals[i];
+    used[nonterminal] = true;
+    var rhs = grammar.productions[nonterminal].rhs;
+    for (var j = 0; j < rhs.length; j++) {
+      for (var k = 0; k < rhs[j].symbols.length; k++) {
+        if (!rhs[j].symbols[k].isTerminal) {
+          used[rhs[j].symbols[k].ch] = true;
+        }
+      }
+    }
+  }
+  return used;
+}
+
+/**
+ * Returns name, with primes appended until it is not a key of used, and
+ * marks the result as used.
+ */
+function freshName(used, name) {
+  while (used[name]) {
+    name += '\'';
+  }
+  used[name] = true;
+  return name;
+}
@@ -0,0 +1,161 @@
+/**
+ * Implementation of the Cocke-Younger-Kasami (CYK) parser, which works on
+ * the Chomsky Normal Form of the given CFG. It is an alternative to the
+ * Earley parser and is useful as an independent check of its results.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var SymArray = require('./grammar.js').SymArray;
+  var State = require('./earley.js').State;
+  require('./cnf.js');
+}
+
+
+/**
+ * Implementation of the CYK parser algorithm. The grammar is converted to
+ * Chomsky Normal Form once, and the cnf property holds the result.
+ */
+function CYK(grammar) {
+  this.grammar = grammar;
+  this.cnf = grammar.toCNF();
+  this.terminalRules = [];
+  this.binaryRules = [];
+  for (var i = 0; i < this.cnf.nonterminals.length; i++) {
+    var production = this.cnf.productions[this.cnf.nonterminals[i]];
+    for (var j = 0; j < production.rhs.length; j++) {
+      var symArray = production.rhs[j];
+      var rule = {lhs: production.lhs, symArray: symArray};
+      if (symArray.symbols.length === 1) {
+        this.terminalRules.push(rule);
+      } else if (symArray.symbols.length === 2) {
+        this.binaryRules.push(rule);
+      }
+    }
+  }
+};
+
+/**
+ * Fills in the CYK table for the input string. Returns an Array in which
+ * table[i][j] describes the substring from index i up to but excluding index
+ * j, for 0 <= i < j <= input.length. Each entry is an object whose keys are
+ * the nonterminals of the CNF grammar that derive the substring, and whose
+ * values are the {symArray, split} pair of the first rule found that derives
+ * it. For a binary rule, split is the index at which the substring divides
+ * between the two nonterminals.
+ */
+CYK.prototype.getTable = function(input) {
+  var n = input.length;
+  var table = [];
+  for (var i = 0; i <= n; i++) {
+    table.push([]);
+    for (var j = 0; j <= n; j++) {
+      table[i].push(Object.create(null));
+    }
+  }
+
+  // Terminals may span several characters of the input.
+  for (var i = 0; i < n; i++) {
+    for (var k = 0; k < this.terminalRules.length; k++) {
+      var rule = this.terminalRules[k];
+      var terminal = rule.symArray.symbols[0].ch;
+      var end = i + terminal.length;
+      if (input.substring(i, end) === terminal &&
+          !table[i][end][rule.lhs.ch]) {
+        table[i][end][rule.lhs.ch] = {symArray: rule.symArray, split: end};
+      }
+    }
+  }
+
+  // Longer substrings are built from shorter ones in order of length.
+  for (var length = 2; length <= n; length++) {
+    for (var i = 0; i + length <= n; i++) {
+      var j = i + length;
+      for (var split = i + 1; split < j; split++) {
+        for (var k = 0; k < this.binaryRules.length; k++) {
+          var rule = this.binaryRules[k];
+          var symbols = rule.symArray.symbols;
+          if (!table[i][j][rule.lhs.ch] && table[i][split][symbols[0].ch] &&
+              table[split][j][symbols[1].ch]) {
+            table[i][j][rule.lhs.ch] = {
+              symArray: rule.symArray,
+              split: split
+            };
+          }
+        }
+      }
+    }
+  }
+  return table;
+};
+
+/**
+ * Uses the CYK algorithm to determine if the input string matches the CFG.
+ * Like Earley.prototype.doesMatch(), returns null if there is no match and
+ * otherwise an Array of completed States. The first State derives the start
+ * symbol and each following State is the next step of a rightmost
+ * derivation. Note that the derivation uses the rules of the CNF grammar.
+ */
+CYK.prototype.doesMatch = function(input) {
+  var startSymbol = this.cnf.startSymbol;
+  var startSymArray = new SymArray([startSymbol]);
+  var states = [new State(State.START_LHS, startSymArray, 1, 0, [])];
+  if (input.length === 0) {
+    var production = this.cnf.productions[startSymbol.ch];
+    var epsilon = new SymArray([]);
+    if (!production || !production.rhsContains(epsilon)) {
+      return null;
+    }
+    states.push(new State(startSymbol, epsilon, 0, 0, []));
+    return states;
+  }
+
+  var nodes = this.getParseNodes(this.getTable(input));
+  if (!nodes) {
+    return null;
+  }
+  for (var i = 0; i < nodes.length; i++) {
+    var node = nodes[i];
+    states.push(new State(node.lhs, node.symArray,
+                          node.symArray.symbols.length, node.start, []));
+  }
+  return states;
+};
+
+/**
+ * Given a table from getTable(), returns the nodes of the parse tree of the
+ * whole input, or null if the start symbol does not derive it. Each node is
+ * an object with the lhs nonterminal Symbol, the symArray of the rule used,
+ * and the start and end indices of the substring that it derives. The nodes
+ * are in the order of a rightmost derivation.
+ */
+CYK.prototype.getParseNodes = function(table) {
+  var n = table.length - 1;
+  var startSymbol = this.cnf.startSymbol;
+  if (n === 0 || !table[0][n][startSymbol.ch]) {
+    return null;
+  }
+  // Expand the rightmost nonterminal first by visiting the right child of
+  // each rule before the left.
+  var nodes = [];
+  var stack = [{lhs: startSymbol, start: 0, end: n}];
+  while (stack.length !== 0) {
+    var node = stack.pop();
+    var entry = table[node.start][node.end][node.lhs.ch];
+    var symbols = entry.symArray.symbols;
+    node.symArray = entry.symArray;
+    nodes.push(node);
+    if (symbols.length === 2) {
+      stack.push({lhs: symbols[0], start: node.start, end: entry.split});
+      stack.push({lhs: symbols[1], start: entry.split, end: node.end});
+    }
+  }
+  return nodes;
+};
+
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    CYK: CYK
+  };
+}
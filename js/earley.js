@@ -5,6 +5,13 @@
  */
 
 
+if (typeof module === 'object' && module.exports) {
+  var Symbol = require('./grammar.js').Symbol;
+  var SymArray = require('./grammar.js').SymArray;
+  var Production = require('./grammar.js').Production;
+}
+
+
 /**
  * A State instance encapsulates the information contained in one state of
  * the Earley Parser algorithm. The lhs and symArray parameters correspond to
@@ -33,7 +40,7 @@ function State(lhs, symArray, currentPosition, originPosition, prev) {
   this.originPosition = originPosition;
   this.prev = prev;
   this.counter = ++State.counter;
-  if (GRAMMAR_DEBUG) {
+  if (Earley.DEBUG) {
     console.log('CREATING ' + this.toString());
   }
 };
@@ -128,12 +135,33 @@ State.prototype.toString = function(showNonterminals, showPrev) {
  * all the States and ensure that no duplicate States are added to the set.
  * The states property is a dictionary in which the keys are the index at
  * each point of the input string are the values are the set of States.
+ *
+ * Each set is also indexed so that the parser never scans a whole set: by
+ * the key of each State, which is the same for equal States, by the
+ * nonterminal that each State expects next, and by the nonterminal and
+ * origin of each completed State.
+ *
+ * The leoItems property holds the Leo items of each set, as described in
+ * getLeoItem(), and leoCompletions lists the completions in which the parser
+ * used them. The leoTops property maps the counter of the State added for a
+ * completion to the completions that skipped the States below it, until
+ * expandState() or expandLeoCompletions() adds them.
  */
 function Context(input) {
   this.input = input;
   this.states = {};
+  this.keys = {};
+  this.waiting = {};
+  this.completed = {};
+  this.leoItems = {};
+  this.leoCompletions = [];
+  this.leoTops = Object.create(null);
   for (var i = 0; i <= input.length; i++) {
     this.states[i] = [];
+    this.keys[i] = Object.create(null);
+    this.waiting[i] = Object.create(null);
+    this.completed[i] = Object.create(null);
+    this.leoItems[i] = Object.create(null);
   }
 };
 
@@ -143,12 +171,106 @@ function Context(input) {
  * duplicate States from being added to the set. Returns null otherwise.
  */
 Context.prototype.getState = function(state, inputIndex) {
-  for (var i = 0; i < this.states[inputIndex].length; i++) {
-    if (this.states[inputIndex][i].equals(state)) {
-      return this.states[inputIndex][i];
-    }
+  return this.keys[inputIndex][stateKey(state)] || null;
+};
+
+/**
+ * Returns the States in the set at the inputIndex whose next Symbol is the
+ * nonterminal, in the order in which they were added.
+ */
+Context.prototype.getWaitingStates = function(nonterminal, inputIndex) {
+  return this.waiting[inputIndex][nonterminal.ch] || [];
+};
+
+/**
+ * Returns the complete States in the set at the inputIndex whose lhs is the
+ * nonterminal and whose originPosition is the given one, in the order in
+ * which they were added.
+ */
+Context.prototype.getCompletedStates = function(nonterminal, originPosition,
+                                                inputIndex) {
+  var key = nonterminal.ch + ',' + originPosition;
+  return this.completed[inputIndex][key] || [];
+};
+
+/**
+ * Returns the Leo item of the nonterminal in the set at the inputIndex, or
+ * null if there is none. The set must not change any more. Following Joop
+ * Leo's optimization of right recursion, the item exists if exactly one
+ * State of the set expects the nonterminal next and the nonterminal is the
+ * last Symbol of its rule, so that completing the nonterminal completes that
+ * State and nothing else. The item is an object whose state property is
+ * that State, whose parent property is the Leo item of the lhs of the State
+ * in the set at its originPosition, or null, and whose top property is the
+ * State at the end of this chain of items.
+ */
+Context.prototype.getLeoItem = function(nonterminal, inputIndex) {
+  var items = this.leoItems[inputIndex];
+  if (nonterminal.ch in items) {
+    return items[nonterminal.ch];
+  }
+  // A cycle of rules such as A -> B and B -> A leads back to this item, so
+  // it ends the path there.
+  items[nonterminal.ch] = null;
+  var waiting = this.getWaitingStates(nonterminal, inputIndex);
+  if (waiting.length !== 1 ||
+      waiting[0].currentPosition !== waiting[0].symArray.symbols.length - 1) {
+    return null;
+  }
+  var state = waiting[0];
+  var parent = this.getLeoItem(state.lhs, state.originPosition);
+  items[nonterminal.ch] = {
+    state: state,
+    parent: parent,
+    top: parent ? parent.top : state
+  };
+  return items[nonterminal.ch];
+};
+
+/**
+ * Adds the complete States that the parser skipped with Leo items to the
+ * set of each completion in leoCompletions, with the prev pointers that the
+ * Earley Parser algorithm gives them without the Leo items. Afterwards, the
+ * sets hold the same States as without the optimization.
+ */
+Context.prototype.expandLeoCompletions = function() {
+  for (var i = 0; i < this.leoCompletions.length; i++) {
+    expandLeoCompletion(this, this.leoCompletions[i]);
+  }
+  this.leoCompletions = [];
+  this.leoTops = Object.create(null);
+};
+
+/**
+ * Adds the complete States that the parser skipped with Leo items below a
+ * State of this Context, so that its prev pointers are the same as without
+ * the optimization. Only the States below the given one are added, so that
+ * a derivation or parse forest that needs few of the skipped States does not
+ * take the quadratic time of expandLeoCompletions() for right recursion.
+ */
+Context.prototype.expandState = function(state) {
+  var completions = this.leoTops[state.counter];
+  if (!completions) {
+    return;
+  }
+  delete this.leoTops[state.counter];
+  for (var i = 0; i < completions.length; i++) {
+    expandLeoCompletion(this, completions[i]);
+  }
+};
+
+/**
+ * Adds a new State to the indexes of the set at the inputIndex.
+ */
+Context.prototype.indexState = function(state, inputIndex) {
+  this.keys[inputIndex][stateKey(state)] = state;
+  var nextSymbol = state.getNextSymbol();
+  if (nextSymbol && !nextSymbol.isTerminal) {
+    addToIndex(this.waiting[inputIndex], nextSymbol.ch, state);
+  } else if (!nextSymbol) {
+    addToIndex(this.completed[inputIndex],
+               state.lhs.ch + ',' + state.originPosition, state);
   }
-  return null;
 };
 
 /**
@@ -171,6 +293,7 @@ Context.prototype.addState = function(state, inputIndex) {
   var equalState = this.getState(state, inputIndex);
   if (!equalState) {
     this.states[inputIndex].push(state);
+    this.indexState(state, inputIndex);
     return true;
   } else {
     var addedPrev = false;
@@ -216,13 +339,54 @@ Context.prototype.toString = function(showNonterminals) {
 
 Earley.DERIVATION_LIMIT = 50000;
 
+/** Set to true to log the steps of the parser to the console. */
+Earley.DEBUG = false;
+
 /**
  * Uses the Earley Parser algorithm to determine if the input string matches
- * the given CFG. If the string matches, returns the final State from which
- * the derivation can be derived by traversing the prev pointers. Otherwise,
- * returns null.
+ * the given CFG. If the string matches, returns an array of States with a
+ * derivation as described in getDerivation(), which is empty if no
+ * derivation could be found. Otherwise, returns null.
  */
 Earley.prototype.doesMatch = function(input) {
+  var context = this.recognize(input);
+  var match = getCompleteParse(context);
+  return match ? getDerivation(match, input, context) : null;
+};
+
+/**
+ * Uses the Earley Parser algorithm to determine if the input string matches
+ * the given CFG. If the string matches, returns the final State. Otherwise,
+ * returns null. The prev pointers of the State skip the States left out by
+ * recognize(), so use doesMatch() to get a derivation.
+ */
+Earley.prototype.getMatchState = function(input) {
+  return getCompleteParse(this.recognize(input));
+};
+
+/**
+ * Runs the Earley Parser algorithm on the input string and returns the
+ * Context that holds the set of States at each index of the input, including
+ * the States that recognize() leaves out. Adding them takes quadratic time
+ * for right recursion, so derivations and parse forests are built from
+ * recognize() instead.
+ */
+Earley.prototype.getChart = function(input) {
+  var context = this.recognize(input);
+  context.expandLeoCompletions();
+  return context;
+};
+
+/**
+ * Runs the Earley Parser algorithm on the input string with Joop Leo's
+ * optimization of right recursion, and returns the Context. When completing
+ * a nonterminal can only lead to a chain of completions, as with the rules
+ * S -> aS | ε, only the last State of the chain is added, so that the parser
+ * takes linear time for right recursion. The chains are listed in the
+ * leoCompletions of the Context instead, and Context.prototype.expandState()
+ * adds the States of those below a State once they are needed.
+ */
+Earley.prototype.recognize = function(input) {
   // Create a new context
   var context = new Context(input);
   this.currentContext = context;
@@ -237,130 +401,181 @@ Earley.prototype.doesMatch = function(input) {
     // value, since this is a dynamic programming algorithm and the length
     // of states may increase while we are iterating.
     for (var j = 0; j < states.length; j++) {
-      var newAddedStates = true;
-      while (newAddedStates) {
-        newAddedStates = false;
-        var len = states.length;
-        for (var k = 0; k < len; k++) {
-          var state = states[k];
-          if (GRAMMAR_DEBUG) {
-            console.log('EXAMINING ' + state.toString(false, true));
-          }
+      var state = states[j];
+      if (Earley.DEBUG) {
+        console.log('EXAMINING ' + state.toString(false, true));
+      }
 
-          var nextSymbol = state.getNextSymbol();
-          if (nextSymbol && !nextSymbol.isTerminal) {
-            // PREDICTION
-            var production = this.grammar.productions[nextSymbol.ch];
-            for (var l = 0; l < production.rhs.length; l++) {
-              var next = new State(nextSymbol, production.rhs[l],
-                                       0, i, [state], 0);
-              if (context.addState(next, i)) {
-                newAddedStates = true;
-              }
-            }
-
-          } else if (state.isComplete()) {
-            // COMPLETION
-            var searchStates = context.states[state.originPosition];
-            var ssLen = searchStates.length;
-            for (var l = 0; l < ssLen; l++) {
-              if (searchStates[l].hasNonterminalNext(state.lhs)) {
-                var next = searchStates[l].getAdvancedState([state]);
-                if (context.addState(next, i)) {
-                  newAddedStates = true;
-                }
-              }
-            }
-          }
+      var nextSymbol = state.getNextSymbol();
+      if (nextSymbol && !nextSymbol.isTerminal) {
+        // PREDICTION
+        // A nonterminal written in angle brackets may have no Production.
+        var production = this.grammar.productions[nextSymbol.ch];
+        var rhs = production ? production.rhs : [];
+        for (var k = 0; k < rhs.length; k++) {
+          context.addState(new State(nextSymbol, rhs[k], 0, i, [state], 0),
+                           i);
         }
-        if (GRAMMAR_DEBUG) {
-          console.log(context.toString());
+        // The nonterminal may already have derived the empty string at this
+        // index, in which case no later completion advances this State.
+        var completed = context.getCompletedStates(nextSymbol, i, i);
+        for (var k = 0; k < completed.length; k++) {
+          context.addState(state.getAdvancedState([completed[k]]), i);
         }
-      }
 
-      if (GRAMMAR_DEBUG) {
-        console.log('EXAMINING ' + state.toString(false, true));
-      }
-      var state = states[j];
-      var nextSymbol = state.getNextSymbol();
-      if (nextSymbol && nextSymbol.isTerminal) {
+      } else if (nextSymbol) {
         // SCANNING
-        if (input[i] === nextSymbol.ch) {
-          var next = state.getAdvancedState([state]);
-          context.addState(next, i + 1);
+        // Terminals may span several characters of the input.
+        var end = i + nextSymbol.ch.length;
+        if (input.substring(i, end) === nextSymbol.ch) {
+          context.addState(state.getAdvancedState([state]), end);
+        }
+
+      } else {
+        // COMPLETION
+        // The set at the origin is final unless it is this one, so it may
+        // have a Leo item.
+        var leoItem = state.originPosition < i ?
+            context.getLeoItem(state.lhs, state.originPosition) : null;
+        if (leoItem && leoItem.parent) {
+          // Only add the top of the chain of completions. Its prev pointers
+          // are set by Context.prototype.expandState().
+          var top = leoItem.top.getAdvancedState([]);
+          context.addState(top, i);
+          var completion = {
+            state: state,
+            leoItem: leoItem,
+            inputIndex: i,
+            expanded: false
+          };
+          context.leoCompletions.push(completion);
+          addToIndex(context.leoTops, context.getState(top, i).counter,
+                     completion);
+        } else {
+          var waiting = context.getWaitingStates(state.lhs,
+                                                 state.originPosition);
+          // States that start waiting after this point are advanced by the
+          // prediction step above instead.
+          var waitingLength = waiting.length;
+          for (var k = 0; k < waitingLength; k++) {
+            context.addState(waiting[k].getAdvancedState([state]), i);
+          }
         }
       }
 
       // Debugging info logs the Context after examining this State.
-      if (GRAMMAR_DEBUG) {
+      if (Earley.DEBUG) {
         console.log(context.toString());
       }
     }
   }
 
-  // Iterate through all States corresponding to the input length index, and
-  // see if there was a match. Return the completed start State if there
-  // was a match. Otherwise, return null.
-  var checkStates = context.states[input.length];
-  var match = null;
-  for (var i = 0; i < checkStates.length && !match; i++) {
+  this.currentContext = null;
+  return context;
+};
+
+/**
+ * Returns the complete parse State in the set at the end of the input of the
+ * Context, or null if the input does not match.
+ */
+function getCompleteParse(context) {
+  var checkStates = context.states[context.input.length];
+  for (var i = 0; i < checkStates.length; i++) {
     if (checkStates[i].isCompleteParse()) {
-      match = getDerivation(checkStates[i], input);
+      return checkStates[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Adds the States skipped by one completion in the leoCompletions of the
+ * Context, unless they were added already.
+ */
+function expandLeoCompletion(context, completion) {
+  if (completion.expanded) {
+    return;
+  }
+  completion.expanded = true;
+  var prev = completion.state;
+  for (var item = completion.leoItem; item; item = item.parent) {
+    var next = item.state.getAdvancedState([prev]);
+    // An earlier completion has already added the rest of the path.
+    if (!context.addState(next, completion.inputIndex)) {
       break;
     }
+    prev = context.getState(next, completion.inputIndex);
   }
-  this.currentContext = null;
-  return match;
-};
+}
 
 /**
  * Gets correct derivation, using backtracking recursion and the State prev
  * pointers. Returns an array of states with a correct derivation, where
  * the complete parse state is at index 0 and the start state is at the end.
+ * The Context is the one in which the match was found.
+ */
+function getDerivation(match, input, context) {
+  var derivation = [];
+  searchDerivations(match, input, context, function(states) {
+    derivation = states;
+    return true;
+  });
+  return derivation;
+}
+
+/**
+ * Searches breadth first through the State prev pointers for derivations of
+ * the input, starting from the complete parse State. Calls visit() with the
+ * array of states of each derivation found, in the format returned by
+ * getDerivation(), and stops once visit() returns true. Returns true if every
+ * derivation was visited, or false if the search was stopped early or gave up
+ * after Earley.DERIVATION_LIMIT steps. The prev pointers of each State are
+ * completed with Context.prototype.expandState() before they are followed.
  */
-function getDerivation(match, input) {
+function searchDerivations(match, input, context, visit) {
   var queue = [[match]];
-  var strings = [match.symArray.toString(false)];
+  var strings = [symArrayKey(match.symArray)];
   var counter = 0;
-  var originalInput = input;
-  input = escapeHTML(input);
   while (queue.length !== 0) {
     var states = queue.shift();
     var currentSymString = strings.shift();
-    if (GRAMMAR_DEBUG) {
+    if (Earley.DEBUG) {
       console.log('DEQUEUE: ' + foo(states, false) + ' ' + currentSymString);
     }
     var currentState = states[states.length - 1];
+    context.expandState(currentState);
 
     for (var i = 0; i < currentState.prev.length; i++) {
       var newState = currentState.prev[i];
-      if (GRAMMAR_DEBUG) {
+      if (Earley.DEBUG) {
         console.log('   LOOKING AT: ' + newState.toString(false, true));
       }
       var newStates = states.concat([newState]);
       var newSymString = currentSymString;
       if (newState.currentPosition === newState.symArray.symbols.length) {
-        var insertString = newState.symArray.symbols.length === 0 ?
-                               '' : newState.symArray.toString(false);
         newSymString = replaceLastNonterminalStr(currentSymString,
-                           newState.lhs.toString(false), insertString);
+                           symbolKey(newState.lhs),
+                           symArrayKey(newState.symArray));
       }
       if (newSymString === input) {
-        return newStates;
+        if (visit(newStates)) {
+          return false;
+        }
+        continue;
       }
-      if (GRAMMAR_DEBUG) {
+      if (Earley.DEBUG) {
         console.log('ENQUEUE: ' + foo(newStates, false) + ' ' + newSymString);
       }
       strings.push(newSymString);
       queue.push(newStates);
       counter++;
       if (counter > Earley.DERIVATION_LIMIT) {
-        console.log('[Earley] Derivation limit reached: ' + originalInput);
-        return [];
+        console.log('[Earley] Derivation limit reached: ' + input);
+        return false;
       }
     }
   }
-  return [];
+  return true;
 }
 
 function foo(states, newline) {
@@ -371,6 +586,52 @@ function foo(states, newline) {
   return str + '] ';
 }
 
+/**
+ * Returns the string used by getDerivation() to represent a Symbol. Terminals
+ * are their own text so that a fully derived string can be compared with the
+ * input, while nonterminals are delimited so that they never collide with
+ * terminals or with each other.
+ */
+function symbolKey(symbol) {
+  return symbol.isTerminal ? symbol.ch : '\u0000' + symbol.ch + '\u0001';
+}
+
+/**
+ * Returns the key of a State in the sets of a Context, which is the same for
+ * equal States. Unlike in symArrayKey(), every Symbol is delimited, so that
+ * a multi-character terminal never has the key of a run of shorter ones.
+ */
+function stateKey(state) {
+  var key = symbolKey(state.lhs) + '\u0002';
+  var symbols = state.symArray.symbols;
+  for (var i = 0; i < symbols.length; i++) {
+    key += (symbols[i].isTerminal ? 't' : 'n') + symbols[i].ch + '\u0002';
+  }
+  return key + state.currentPosition + ',' + state.originPosition;
+}
+
+/**
+ * Appends the State to the Array of the key in an index of a Context.
+ */
+function addToIndex(index, key, state) {
+  if (index[key]) {
+    index[key].push(state);
+  } else {
+    index[key] = [state];
+  }
+}
+
+/**
+ * Returns the concatenated keys of the Symbols in a SymArray.
+ */
+function symArrayKey(symArray) {
+  var str = '';
+  for (var i = 0; i < symArray.symbols.length; i++) {
+    str += symbolKey(symArray.symbols[i]);
+  }
+  return str;
+}
+
 /**
  * Returns true if the prev arrays of state1 and state2 are equal.
  * Returns false otherwise.
@@ -412,7 +673,8 @@ function replaceLastNonterminalStr(symString, lhsString, insertString) {
   if (i === -1) {
     return symString;
   }
-  return symString.substring(0, i) + insertString + symString.substring(i + 1);
+  return symString.substring(0, i) + insertString +
+         symString.substring(i + lhsString.length);
 }
 
 /**
@@ -430,3 +692,13 @@ function replaceLastNonterminal(symArray, lhs, insertArray) {
   }
   return symArray;
 };
+
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    State: State,
+    Context: Context,
+    Earley: Earley,
+    symbolKey: symbolKey
+  };
+}
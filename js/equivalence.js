@@ -0,0 +1,110 @@
+/**
+ * Comparison of the languages of two context-free grammars (CFGs) on all
+ * short strings. Equivalence of CFGs is undecidable in general, so only a
+ * difference can be proven, by a string that one grammar generates and the
+ * other does not.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var Grammar = require('./grammar.js').Grammar;
+  var Earley = require('./earley.js').Earley;
+}
+
+
+/** Maximum number of strings checked by compareLanguages(). */
+Grammar.EQUIVALENCE_LIMIT = 20000;
+
+/**
+ * Checks the strings made of the terminals of this Grammar and the reference
+ * Grammar, in order of length up to maxLength characters, for the shortest
+ * string accepted by one and rejected by the other. Returns an object whose
+ * onlyThis property is the shortest string that only this Grammar generates
+ * and whose onlyReference property is the shortest string that only the
+ * reference generates, each null if none was found. The checked property
+ * counts the strings checked, and limitReached is true if the search
+ * stopped after Grammar.EQUIVALENCE_LIMIT strings.
+ */
+Grammar.prototype.compareLanguages = function(reference, maxLength) {
+  var earley = new Earley(this);
+  var referenceEarley = new Earley(reference);
+  var alphabet = this.getTerminals().concat(reference.getTerminals());
+  var result = {
+    onlyThis: null,
+    onlyReference: null,
+    checked: 0,
+    limitReached: false
+  };
+  forEachString(alphabet, maxLength, function(str) {
+    if (result.checked === Grammar.EQUIVALENCE_LIMIT) {
+      result.limitReached = true;
+      return true;
+    }
+    result.checked++;
+    var inThis = !!earley.getMatchState(str);
+    var inReference = !!referenceEarley.getMatchState(str);
+    if (inThis && !inReference && result.onlyThis === null) {
+      result.onlyThis = str;
+    } else if (!inThis && inReference && result.onlyReference === null) {
+      result.onlyReference = str;
+    }
+    return result.onlyThis !== null && result.onlyReference !== null;
+  });
+  return result;
+};
+
+/**
+ * Calls visit() with every distinct string made of the terminals in alphabet
+ * with at most maxLength characters, in order of length and then
+ * lexicographically. Stops once visit() returns true. Returns true if the
+ * enumeration was stopped early. Only the strings of one length are kept in
+ * memory at a time.
+ */
+function forEachString(alphabet, maxLength, visit) {
+  for (var length = 0; length <= maxLength; length++) {
+    var strings = getStringsOfLength(alphabet, length);
+    for (var i = 0; i < strings.length; i++) {
+      if (visit(strings[i])) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Returns the sorted Array of the distinct strings of exactly length
+ * characters made of the terminals in alphabet.
+ */
+function getStringsOfLength(alphabet, length) {
+  // Terminals such as a and aa split a string in several ways, so each
+  // prefix is only extended once.
+  var seen = Object.create(null);
+  var strings = [];
+  function extend(prefix) {
+    if (seen[prefix]) {
+      return;
+    }
+    seen[prefix] = true;
+    if (prefix.length === length) {
+      strings.push(prefix);
+      return;
+    }
+    for (var i = 0; i < alphabet.length; i++) {
+      var terminal = alphabet[i];
+      if (terminal.length !== 0 &&
+          prefix.length + terminal.length <= length) {
+        extend(prefix + terminal);
+      }
+    }
+  }
+  extend('');
+  return strings.sort();
+};
+
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    forEachString: forEachString
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * Exercises in which a grammar is checked against a hidden description of
+ * the language that it should generate, for students to check their work.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var Grammar = require('./grammar.js').Grammar;
+  var GrammarSyntaxError = require('./grammar.js').GrammarSyntaxError;
+  var Earley = require('./earley.js').Earley;
+  var forEachString = require('./equivalence.js').forEachString;
+}
+
+
+/**
+ * An Exercise is created from a problem definition object, usually read from
+ * JSON with Exercise.fromJSON(), with these properties:
+ *   title: a short name for the exercise.
+ *   description: the language to write a grammar for, as plain text.
+ *   alphabet: the Array of terminals that strings of the language use.
+ *   maxLength: strings of at most this many characters are checked.
+ *   reference: a grammar for the language in the format of Grammar.parse().
+ * Throws an ExerciseError if the definition is invalid. Definitions are read
+ * from files that students share, so they hold no code to run.
+ */
+function Exercise(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new ExerciseError('The exercise must be a JSON object.');
+  }
+  var fields = ['title', 'description'];
+  for (var i = 0; i < fields.length; i++) {
+    if (typeof definition[fields[i]] !== 'string') {
+      throw new ExerciseError('The exercise needs a "' + fields[i] +
+                              '" string.');
+    }
+  }
+  if (!(definition.alphabet instanceof Array) ||
+      definition.alphabet.length === 0) {
+    throw new ExerciseError('The exercise needs a non-empty "alphabet" ' +
+                            'array.');
+  }
+  for (var i = 0; i < definition.alphabet.length; i++) {
+    if (typeof definition.alphabet[i] !== 'string' ||
+        definition.alphabet[i] === '') {
+      throw new ExerciseError('Each letter of the alphabet must be a ' +
+                              'non-empty string.');
+    }
+  }
+  if (typeof definition.maxLength !== 'number' || definition.maxLength < 0) {
+    throw new ExerciseError('The exercise needs a "maxLength" number of at ' +
+                            'least 0.');
+  }
+  this.title = definition.title;
+  this.description = definition.description;
+  this.alphabet = definition.alphabet.slice();
+  this.maxLength = definition.maxLength;
+  if (typeof definition.reference !== 'string') {
+    throw new ExerciseError('The exercise needs a "reference" grammar.');
+  }
+  try {
+    this.reference = new Earley(Grammar.parse(definition.reference));
+  } catch (e) {
+    if (!(e instanceof GrammarSyntaxError)) {
+      throw e;
+    }
+    throw new ExerciseError('The reference grammar is invalid. ' +
+                            e.message);
+  }
+};
+
+/** Number of counterexamples reported by Exercise.prototype.check(). */
+Exercise.COUNTEREXAMPLES = 3;
+
+/**
+ * Reads an Exercise from JSON text. Throws an ExerciseError if the text is
+ * not valid JSON or not a valid definition.
+ */
+Exercise.fromJSON = function(text) {
+  var definition;
+  try {
+    definition = JSON.parse(text);
+  } catch (e) {
+    throw new ExerciseError('The exercise is not valid JSON. ' + e.message);
+  }
+  return new Exercise(definition);
+};
+
+/**
+ * Returns true if the string belongs to the language of the exercise. Only
+ * strings made of the alphabet can belong to it.
+ */
+Exercise.prototype.accepts = function(str) {
+  if (!isAlphabetString(str, this.alphabet)) {
+    return false;
+  }
+  return !!this.reference.getMatchState(str);
+};
+
+/**
+ * Checks the grammar against the exercise on the strings made of the
+ * alphabet and the terminals of the grammar, in order of length up to
+ * maxLength characters. Returns an object whose passed property is true if
+ * no string was found that the grammar gets wrong, and whose counterexamples
+ * property is an Array of up to Exercise.COUNTEREXAMPLES of the shortest
+ * such strings, as {string, expected} objects where expected is true if the
+ * string should be generated. The checked and limitReached properties are
+ * like those of Grammar.compareLanguages().
+ */
+Exercise.prototype.check = function(grammar) {
+  var self = this;
+  var earley = new Earley(grammar);
+  var result = {
+    passed: true,
+    counterexamples: [],
+    checked: 0,
+    limitReached: false
+  };
+  var alphabet = this.alphabet.concat(grammar.getTerminals());
+  forEachString(alphabet, this.maxLength, function(str) {
+    if (result.checked === Grammar.EQUIVALENCE_LIMIT) {
+      result.limitReached = true;
+      return true;
+    }
+    result.checked++;
+    var expected = self.accepts(str);
+    if (expected !== !!earley.getMatchState(str)) {
+      result.passed = false;
+      result.counterexamples.push({string: str, expected: expected});
+    }
+    return result.counterexamples.length === Exercise.COUNTEREXAMPLES;
+  });
+  return result;
+};
+
+/**
+ * Returns true if the string can be split into a sequence of the terminals
+ * in alphabet, which may have several characters each.
+ */
+function isAlphabetString(str, alphabet) {
+  // splits[i] is true if the first i characters can be split.
+  var splits = [true];
+  for (var i = 1; i <= str.length; i++) {
+    splits.push(false);
+    for (var j = 0; j < alphabet.length && !splits[i]; j++) {
+      var start = i - alphabet[j].length;
+      splits[i] = start >= 0 && splits[start] &&
+                  str.substring(start, i) === alphabet[j];
+    }
+  }
+  return splits[str.length];
+};
+
+
+/**
+ * An ExerciseError is thrown when a problem definition cannot be read.
+ */
+function ExerciseError(message) {
+  this.name = 'ExerciseError';
+  this.message = message;
+};
+ExerciseError.prototype = Object.create(Error.prototype);
+ExerciseError.prototype.constructor = ExerciseError;
+
+
+/**
+ * Problem definitions of classic exercises that come with the page, in the
+ * same format as the JSON files that can be loaded.
+ */
+Exercise.BUNDLED = [
+  {
+    title: 'Balanced parentheses',
+    description: 'All strings of balanced parentheses, such as (()()) and ' +
+                 'the empty string.',
+    alphabet: ['(', ')'],
+    maxLength: 10,
+    reference: 'S -> (S)S | ε'
+  },
+  {
+    title: 'a^n b^n',
+    description: 'All strings of n a\'s followed by n b\'s, for n >= 0.',
+    alphabet: ['a', 'b'],
+    maxLength: 10,
+    reference: 'S -> aSb | ε'
+  },
+  {
+    title: 'Palindromes',
+    description: 'All strings of a\'s and b\'s that read the same forwards ' +
+                 'and backwards, including the empty string.',
+    alphabet: ['a', 'b'],
+    maxLength: 9,
+    reference: 'S -> aSa | bSb | a | b | ε'
+  },
+  {
+    title: 'Unequal counts',
+    description: 'All strings of i a\'s followed by j b\'s where i != j.',
+    alphabet: ['a', 'b'],
+    maxLength: 10,
+    reference: 'S -> aSb | A | B\nA -> aA | a\nB -> Bb | b'
+  }
+];
+
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    Exercise: Exercise,
+    ExerciseError: ExerciseError
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Export of the grammar web page's CFG to files, in the plain-text format of
+ * Grammar.parse() or as a JSON document that also holds the test strings,
+ * and import of either format back into the page.
+ */
+
+
+/**
+ * Returns the JSON document for the current CFG and test strings, in the
+ * format of Grammar.prototype.toDocument().
+ */
+function getGrammarDocument() {
+  var text = $('#test-input').val();
+  return readGrammar().toDocument(text === '' ? [] :
+                                  TestCase.parseLines(text));
+};
+
+/**
+ * Lets the user download a file with the given name, MIME type and text.
+ */
+function downloadFile(name, type, text) {
+  var url = URL.createObjectURL(new Blob([text], {type: type}));
+  var link = $('<a/>', {'href': url, 'download': name}).appendTo('body');
+  link[0].click();
+  link.remove();
+  window.setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+};
+
+/** Handler to download the CFG in the plain-text format. */
+function exportText() {
+  downloadFile('grammar.txt', 'text/plain', readGrammar().toText() + '\n');
+};
+
+/** Handler to download the CFG and test strings as a JSON document. */
+function exportJSON() {
+  downloadFile('grammar.json', 'application/json',
+               JSON.stringify(getGrammarDocument(), null, 2) + '\n');
+};
+
+/**
+ * Handler to replace the CFG with the one in a file chosen by the user. A
+ * JSON document also replaces the test strings, while a plain-text grammar
+ * keeps them.
+ */
+function importGrammarFile(file) {
+  var reader = new FileReader();
+  reader.onload = function() {
+    var msg = 'Importing ' + file.name + ' will overwrite the current CFG. ' +
+              'Are you sure?';
+    if (window.confirm(msg)) {
+      importGrammarText(reader.result);
+    }
+  };
+  reader.readAsText(file);
+};
+
+/**
+ * Replaces the CFG with the one in the text of an imported file, which is
+ * read as JSON if it starts with a brace. Tells the user if it cannot be
+ * read.
+ */
+function importGrammarText(text) {
+  var grammar;
+  var tests = $('#test-input').val();
+  try {
+    if (/^\s*\{/.test(text)) {
+      var result = Grammar.readDocument(JSON.parse(text));
+      grammar = result.grammar;
+      var lines = [];
+      for (var i = 0; i < result.testCases.length; i++) {
+        lines.push(result.testCases[i].toLine());
+      }
+      tests = lines.join('\n');
+    } else {
+      grammar = Grammar.parse(text);
+    }
+  } catch (e) {
+    if (!(e instanceof GrammarSyntaxError) &&
+        !(e instanceof GrammarFormatError) && !(e instanceof SyntaxError)) {
+      throw e;
+    }
+    window.alert('The file could not be imported. ' + e.message);
+    return;
+  }
+  loadGrammar(grammar, tests);
+};
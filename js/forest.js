@@ -0,0 +1,431 @@
+/**
+ * Shared packed parse forest (SPPF) of a string, built from the chart of the
+ * Earley parser. The forest holds every parse tree of the string at once by
+ * sharing the nodes that the trees have in common, so that the trees can be
+ * counted without listing them and listed one at a time.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var Earley = require('./earley.js').Earley;
+  var symbolKey = require('./earley.js').symbolKey;
+  var ParseNode = require('./parse_tree.js').ParseNode;
+}
+
+
+/**
+ * A ForestNode stands for the Symbol deriving the substring of the input
+ * from index start up to but excluding index end. Each way in which a
+ * nonterminal node can derive its substring is a packed node in the packed
+ * Array: an object with the symArray of the rule used and the Array of child
+ * ForestNodes, one per Symbol of the rule. Terminal nodes have no packed
+ * nodes.
+ */
+function ForestNode(symbol, start, end) {
+  this.symbol = symbol;
+  this.start = start;
+  this.end = end;
+  this.packed = [];
+};
+
+/** Returns the node in the form S[0,3], where S derives input[0..3). */
+ForestNode.prototype.toString = function() {
+  return this.symbol.getName() + '[' + this.start + ',' + this.end + ']';
+};
+
+
+/**
+ * A ParseForest holds all parse trees of the input string for the grammar,
+ * given the Context returned by Earley.recognize() or Earley.getChart(). A
+ * completed State in the set at index end whose origin is start means that
+ * its rule derives the substring between the two indices, so the forest is
+ * built by splitting each such rule among the completed States of its
+ * nonterminals. The root property is the ForestNode of the start symbol for
+ * the whole input, or null if the string does not match.
+ *
+ * The States that recognize() skips with Leo items are only added for the
+ * nodes of the forest that need them. They complete the last Symbol of a
+ * rule, so the ends of the other Symbols are found without them.
+ */
+function ParseForest(grammar, input, context) {
+  this.grammar = grammar;
+  this.input = input;
+  this.context = context;
+  // Maps a nonterminal and a start index to the Array of end indices of the
+  // substrings that it derives.
+  this.ends = Object.create(null);
+  this.nodes = Object.create(null);
+  // ForestNodes whose packed nodes are yet to be added.
+  this.unfilled = [];
+  for (var end = 0; end <= input.length; end++) {
+    var states = context.states[end];
+    var seen = Object.create(null);
+    for (var i = 0; i < states.length; i++) {
+      var state = states[i];
+      if (!state.isComplete() || state.hasStart()) {
+        continue;
+      }
+      var endsKey = state.lhs.ch + '\u0000' + state.originPosition;
+      if (!seen[endsKey]) {
+        seen[endsKey] = true;
+        if (!this.ends[endsKey]) {
+          this.ends[endsKey] = [];
+        }
+        this.ends[endsKey].push(end);
+      }
+    }
+  }
+
+  // The start symbol may itself have been skipped below the complete parse
+  // State.
+  var finalStates = context.states[input.length];
+  for (var i = 0; i < finalStates.length; i++) {
+    if (finalStates[i].isCompleteParse()) {
+      context.expandState(finalStates[i]);
+    }
+  }
+  var startSymbol = grammar.startSymbol;
+  this.root = null;
+  if (this.getRules(startSymbol, 0, input.length).length !== 0) {
+    this.root = this.getNode(startSymbol, 0, input.length);
+  }
+  // Nodes are filled in one at a time rather than recursively, since right
+  // recursion makes the forest as deep as the input is long.
+  while (this.unfilled.length !== 0) {
+    this.fillNode(this.unfilled.pop());
+  }
+};
+
+/**
+ * Returns the Array of SymArrays of the rules whose States completed for the
+ * nonterminal and the substring from start up to but excluding end, after
+ * adding the States that recognize() skipped below them.
+ */
+ParseForest.prototype.getRules = function(nonterminal, start, end) {
+  var states = this.context.getCompletedStates(nonterminal, start, end);
+  var rules = [];
+  // Expanding a State may add more States to the Array.
+  for (var i = 0; i < states.length; i++) {
+    this.context.expandState(states[i]);
+    rules.push(states[i].symArray);
+  }
+  return rules;
+};
+
+/**
+ * Returns the ForestNode of the Symbol for the substring from start up to but
+ * excluding end. A new nonterminal node is added to the unfilled nodes.
+ */
+ParseForest.prototype.getNode = function(symbol, start, end) {
+  var key = getForestKey(symbol, start, end);
+  var node = this.nodes[key];
+  if (!node) {
+    node = new ForestNode(symbol, start, end);
+    this.nodes[key] = node;
+    if (!symbol.isTerminal) {
+      this.unfilled.push(node);
+    }
+  }
+  return node;
+};
+
+/** Adds the packed nodes of a nonterminal ForestNode. */
+ParseForest.prototype.fillNode = function(node) {
+  var rules = this.getRules(node.symbol, node.start, node.end);
+  for (var i = 0; i < rules.length; i++) {
+    this.addPackedNodes(node, rules[i], 0, node.start, []);
+  }
+};
+
+/**
+ * Adds a packed node to the ForestNode for each way of splitting its
+ * substring among the Symbols of symArray, given the child ForestNodes of
+ * the Symbols before index, which end at position.
+ */
+ParseForest.prototype.addPackedNodes = function(node, symArray, index,
+                                                position, children) {
+  var symbols = symArray.symbols;
+  if (index === symbols.length) {
+    if (position === node.end) {
+      node.packed.push({symArray: symArray, children: children});
+    }
+    return;
+  }
+  var symbol = symbols[index];
+  var ends = [];
+  if (symbol.isTerminal) {
+    var end = position + symbol.ch.length;
+    if (this.input.substring(position, end) === symbol.ch) {
+      ends.push(end);
+    }
+  } else if (index === symbols.length - 1) {
+    // The last Symbol ends with the node, and may have been skipped by
+    // recognize(), so its States are looked up directly.
+    if (this.getRules(symbol, position, node.end).length !== 0) {
+      ends.push(node.end);
+    }
+  } else {
+    ends = this.ends[symbol.ch + '\u0000' + position] || [];
+  }
+  for (var i = 0; i < ends.length; i++) {
+    if (ends[i] <= node.end) {
+      var child = this.getNode(symbol, position, ends[i]);
+      this.addPackedNodes(node, symArray, index + 1, ends[i],
+                          children.concat([child]));
+    }
+  }
+};
+
+/**
+ * Returns the number of distinct parse trees of the input as a BigInt, or
+ * Infinity if a cyclic grammar gives it infinitely many, e.g. with the rules
+ * S -> S | a.
+ */
+ParseForest.prototype.countTrees = function() {
+  if (!this.root) {
+    return BigInt(0);
+  }
+  return countForestTrees(this.root);
+};
+
+/**
+ * Lists the parse trees of the input one at a time, calling visit() with the
+ * root ParseNode of each tree until it returns true. A cyclic grammar gives
+ * infinitely many trees, so only the trees in which each cycle of the forest
+ * is followed at most once are listed, e.g. S(a) and S(S(a)) for the rules
+ * S -> S | a. Returns true if visit() stopped the listing.
+ */
+ParseForest.prototype.forEachTree = function(visit) {
+  if (!this.root) {
+    return false;
+  }
+  return forEachForestTree(this.root, visit);
+};
+
+/**
+ * Returns an Array of up to maxCount distinct parse trees of the input, as
+ * listed by forEachTree().
+ */
+ParseForest.prototype.getTrees = function(maxCount) {
+  var trees = [];
+  if (maxCount > 0) {
+    this.forEachTree(function(tree) {
+      trees.push(tree);
+      return trees.length >= maxCount;
+    });
+  }
+  return trees;
+};
+
+/** Returns the key of the Symbol for a substring in the node maps. */
+function getForestKey(symbol, start, end) {
+  return symbolKey(symbol) + '\u0002' + start + ',' + end;
+};
+
+/**
+ * Returns the number of trees below the root ForestNode. The nodes are
+ * counted depth first with a stack of frames rather than recursively, since
+ * right recursion makes the forest as deep as the input is long. Each frame
+ * holds the packed node and child being counted, the total of the packed
+ * nodes before it and the product of the children before it. A node that is
+ * reached again while it is on the stack lies on a cycle and has infinitely
+ * many trees.
+ */
+function countForestTrees(root) {
+  // Maps the keys of the nodes to their counts, or to null while they are on
+  // the stack.
+  var counts = Object.create(null);
+  var stack = [];
+  function push(node) {
+    counts[getForestKey(node.symbol, node.start, node.end)] = null;
+    stack.push({node: node, packed: 0, child: 0, total: BigInt(0),
+                product: BigInt(1)});
+  }
+  push(root);
+  var count;
+  while (stack.length !== 0) {
+    var frame = stack[stack.length - 1];
+    var node = frame.node;
+    if (frame.packed === node.packed.length) {
+      stack.pop();
+      count = frame.total;
+      counts[getForestKey(node.symbol, node.start, node.end)] = count;
+      if (stack.length !== 0) {
+        var parent = stack[stack.length - 1];
+        parent.product = multiplyTreeCounts(parent.product, count);
+        parent.child++;
+      }
+      continue;
+    }
+    var children = node.packed[frame.packed].children;
+    if (frame.child === children.length) {
+      frame.total = addTreeCounts(frame.total, frame.product);
+      frame.packed++;
+      frame.child = 0;
+      frame.product = BigInt(1);
+      continue;
+    }
+    var child = children[frame.child];
+    if (child.symbol.isTerminal) {
+      frame.child++;
+      continue;
+    }
+    var key = getForestKey(child.symbol, child.start, child.end);
+    if (key in counts) {
+      frame.product = multiplyTreeCounts(
+          frame.product, counts[key] === null ? Infinity : counts[key]);
+      frame.child++;
+    } else {
+      push(child);
+    }
+  }
+  return count;
+};
+
+/** Adds two tree counts, either of which may be Infinity. */
+function addTreeCounts(a, b) {
+  return a === Infinity || b === Infinity ? Infinity : a + b;
+};
+
+/** Multiplies two tree counts, either of which may be Infinity. */
+function multiplyTreeCounts(a, b) {
+  var zero = BigInt(0);
+  if (a === zero || b === zero) {
+    return zero;
+  }
+  return a === Infinity || b === Infinity ? Infinity : a * b;
+};
+
+/**
+ * Calls visit() with each ParseNode tree below the root ForestNode until it
+ * returns true, and returns true if it did. Each cycle is followed at most
+ * once: a ForestNode appears at most twice on a path from the root.
+ *
+ * A tree is given by the packed node chosen at each of its nonterminal nodes
+ * in preorder, and the trees are listed by backtracking over these choices
+ * rather than recursively, since right recursion makes the forest as deep
+ * as the input is long. The choices Array holds the nodes of the current
+ * tree in preorder, each with the index of its packed node and the nodes
+ * still to visit after its subtree. The nodes to visit are linked as
+ * {node, ancestors, next} objects, where ancestors links the ForestNodes
+ * above the node as {node, next} objects.
+ */
+function forEachForestTree(root, visit) {
+  var choices = [];
+  var pending = {node: root, ancestors: null, next: null};
+  while (true) {
+    // Extend the current tree in preorder with the first packed node of each
+    // nonterminal node, until it is complete or a node has no trees.
+    var hasTree = true;
+    while (pending) {
+      var item = pending;
+      pending = item.next;
+      if (item.node.symbol.isTerminal) {
+        choices.push({node: item.node, packed: -1});
+        continue;
+      }
+      if (item.node.packed.length === 0 ||
+          isRepeatedForestNode(item.node, item.ancestors)) {
+        hasTree = false;
+        break;
+      }
+      choices.push({node: item.node, packed: 0, ancestors: item.ancestors,
+                    next: pending});
+      pending = pushForestChildren(item.node, 0, item.ancestors, pending);
+    }
+    if (hasTree && visit(buildForestTree(choices))) {
+      return true;
+    }
+    // Go back to the last node of the tree that has another packed node.
+    while (true) {
+      if (choices.length === 0) {
+        return false;
+      }
+      var choice = choices.pop();
+      if (choice.packed !== -1 &&
+          choice.packed + 1 < choice.node.packed.length) {
+        choice.packed++;
+        choices.push(choice);
+        pending = pushForestChildren(choice.node, choice.packed,
+                                     choice.ancestors, choice.next);
+        break;
+      }
+    }
+  }
+};
+
+/**
+ * Returns true if the ForestNode already appears twice among its ancestors.
+ * The substrings of the ancestors contain the one of the node, so only the
+ * nearest ancestors with the same substring are checked.
+ */
+function isRepeatedForestNode(node, ancestors) {
+  var repeated = false;
+  for (var above = ancestors; above; above = above.next) {
+    if (above.node.start !== node.start || above.node.end !== node.end) {
+      return false;
+    }
+    if (above.node === node) {
+      if (repeated) {
+        return true;
+      }
+      repeated = true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Returns the linked nodes to visit with the children of the packed node of
+ * the ForestNode at index in front of the ones in next.
+ */
+function pushForestChildren(node, index, ancestors, next) {
+  var children = node.packed[index].children;
+  var path = {node: node, next: ancestors};
+  for (var i = children.length - 1; i >= 0; i--) {
+    next = {node: children[i], ancestors: path, next: next};
+  }
+  return next;
+};
+
+/**
+ * Builds the ParseNode tree from the choices of forEachForestTree(). The
+ * nodes are taken in reverse preorder, so that the trees of the children of
+ * a node are on top of the stack when it is reached, the first child last.
+ */
+function buildForestTree(choices) {
+  var stack = [];
+  for (var i = choices.length - 1; i >= 0; i--) {
+    var node = choices[i].node;
+    if (choices[i].packed === -1) {
+      stack.push(new ParseNode(node.symbol));
+      continue;
+    }
+    var count = node.packed[choices[i].packed].children.length;
+    var children = [];
+    for (var j = 0; j < count; j++) {
+      children.push(stack.pop());
+    }
+    if (count === 0) {
+      children.push(new ParseNode(null));
+    }
+    stack.push(new ParseNode(node.symbol, children));
+  }
+  return stack[0];
+};
+
+/**
+ * Uses the Earley Parser algorithm to build the ParseForest of the input
+ * string. Its root is null if the string does not match.
+ */
+Earley.prototype.getParseForest = function(input) {
+  return new ParseForest(this.grammar, input, this.recognize(input));
+};
+
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    ForestNode: ForestNode,
+    ParseForest: ParseForest
+  };
+}
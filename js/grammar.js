@@ -6,7 +6,9 @@
 
 
 /**
- * A Symbol is a character that can either be a terminal or nonterminal.
+ * A Symbol is a terminal or nonterminal. The ch property holds its name, which
+ * is usually a single character but may be longer, e.g. the nonterminal Expr
+ * or the terminal "if".
  */
 function Symbol(ch, isTerminal) {
   this.ch = ch;
@@ -21,52 +23,26 @@ Symbol.prototype.equals = function(other) {
   return this.ch === other.ch && this.isTerminal === other.isTerminal;
 };
 
-/** Static enumeration variables as options to pass into toString(). */
-Symbol.PARENTHESES = 0;
-Symbol.BOLD = 1;
-Symbol.BOLD_UNDERLINE = 2;
-Symbol.BOLD_UNDERLINE_LAST = 11;
-
 /**
- * If showNonterminal is true, then a nonterminal Symbol instance will be
- * highlighted according to the options.
+ * Returns the name of this Symbol. If showNonterminal is true, then a
+ * nonterminal Symbol instance is shown in parentheses.
  */
-Symbol.prototype.toString = function(showNonterminal, options) {
+Symbol.prototype.toString = function(showNonterminal) {
   if (showNonterminal && !this.isTerminal) {
-    // Highlight the nonterminal character based on the options.
-    var left = '';
-    var right = '';
-    switch (options) {
-      case Symbol.BOLD_UNDERLINE: {
-        left += '<u>';
-        right = '</u>' + right;
-      }
-      case Symbol.BOLD: {
-        left += '<strong>';
-        right = '</strong>' + right;
-        break;
-      }
-      case Symbol.PARENTHESES:
-      default: {
-        left += '(';
-        right = ')' + right;
-        break;
-      }
-    }
-    return left + escapeHTML(this.ch) + right;
-  } else {
-    // Return just the character.
-    return escapeHTML(this.ch);
+    return '(' + this.getName() + ')';
   }
+  return this.ch;
 };
 
 /**
- * Escapes str in HTML.
+ * Returns the name of this Symbol as displayed to the user. Nonterminals with
+ * multi-character names are shown in angle brackets, e.g. <Expr>.
  */
-function escapeHTML(str) {
-  var div = document.createElement('div');
-  div.appendChild(document.createTextNode(str));
-  return div.innerHTML;
+Symbol.prototype.getName = function() {
+  if (!this.isTerminal && this.ch.length > 1) {
+    return '<' + this.ch + '>';
+  }
+  return this.ch;
 };
 
 /**
@@ -94,37 +70,17 @@ SymArray.prototype.equals = function(other) {
 };
 
 /**
- * Handles Symbol.BOLD_UNDERLINE_LAST case by determining the appropriate
- * options to pass into the Symbol toString().
+ * Returns the Symbols of this SymArray one after the other, or epsilon if
+ * there are none.
  */
-SymArray.prototype.toString = function(showNonterminals, options) {
+SymArray.prototype.toString = function(showNonterminals) {
   if (this.symbols.length === 0) {
     // Return epsilon Unicode character for an empty Array.
     return '\u03B5';
   }
   var str = '';
-  var args;
-  var underline = false;
-  for (var i = this.symbols.length - 1; i >= 0; i--) {
-    switch (options) {
-      case Symbol.BOLD_UNDERLINE_LAST: {
-        // For the first nonterminal we encounter, also include the underline
-        // option, and then mark that we have seen a nonterminal.
-        if (!this.symbols[i].isTerminal && !underline) {
-          args = Symbol.BOLD_UNDERLINE;
-          underline = true;
-        } else {
-          args = Symbol.BOLD;
-        }
-        break;
-      }
-      default: {
-        // For all other options, pass them on to the Symbol toString().
-        args = options;
-      }
-    }
-    // Append the current Symbol to the beginning of the string.
-    str = this.symbols[i].toString(showNonterminals, args) + str;
+  for (var i = 0; i < this.symbols.length; i++) {
+    str += this.symbols[i].toString(showNonterminals);
   }
   return str;
 };
@@ -155,27 +111,30 @@ Production.prototype.rhsContains = function(symArray) {
 
 /**
  * Wrapper utility function to add a SymArray to rhs. To prevent duplicate
- * SymArrays from being present in rhs, always use this function.
+ * SymArrays from being present in rhs, always use this function. Returns
+ * false if the SymArray was a duplicate.
  */
 Production.prototype.addArray = function(symArray) {
   if (!this.rhsContains(symArray)) {
     this.rhs.push(symArray);
+    return true;
   }
+  return false;
 };
 
 /**
  * lhs -> rhs[0] | rhs[1] | ...
  */
-Production.prototype.toString = function(showNonterminals, options) {
-  var str = this.lhs.toString(showNonterminals, options);
+Production.prototype.toString = function(showNonterminals) {
+  var str = this.lhs.toString(showNonterminals);
   // Use the Unicode character for a right arrow.
-  str += ' &#8594; ';
-    for (var i = 0; i < this.rhs.length; i++) {
-      str += this.rhs[i].toString(showNonterminals, options);
-      if (i !== this.rhs.length - 1) {
-        str += ' | ';
-      }
+  str += ' \u2192 ';
+  for (var i = 0; i < this.rhs.length; i++) {
+    str += this.rhs[i].toString(showNonterminals);
+    if (i !== this.rhs.length - 1) {
+      str += ' | ';
     }
+  }
   return str;
 };
 
@@ -189,42 +148,507 @@ Production.prototype.toString = function(showNonterminals, options) {
  */
 function Grammar(startSymbol) {
   this.startSymbol = startSymbol;
-  this.productions = {};
+  // Nonterminal names are arbitrary strings, so avoid inherited keys such as
+  // 'constructor'.
+  this.productions = Object.create(null);
   this.nonterminals = [];
 };
 
 /**
  * Adds a Production instance to this grammar. If a Production instance
  * corresponding to the lhs nonterminal is already present, then merges
- * the two.
+ * the two. Returns an Array of the SymArrays that were already present.
  */
 Grammar.prototype.addProduction = function(production) {
   var nonterminal = production.lhs;
+  var duplicates = [];
   if (this.productions[nonterminal.ch]) {
     // If a rule for this nonterminal Symbol is already present, add the
     // additional SymArray rules individually to prevent duplicates.
     var currentProduction = this.productions[nonterminal.ch];
     for (var i = 0; i < production.rhs.length; i++) {
-      if (!currentProduction.rhsContains(production.rhs[i])) {
-        currentProduction.rhs.push(production.rhs[i]);
+      if (!currentProduction.addArray(production.rhs[i])) {
+        duplicates.push(production.rhs[i]);
       }
     }
   } else {
     this.productions[nonterminal.ch] = production;
     this.nonterminals.push(nonterminal.ch);
   }
+  return duplicates;
 };
 
 /**
  * First line identifies the start symbol. Subsequent lines are all of the
  * Production rows.
  */
-Grammar.prototype.toString = function(showNonterminals, options) {
+Grammar.prototype.toString = function(showNonterminals) {
   var s = 'Start symbol: ';
-  s += this.startSymbol.toString(showNonterminals, options) + '<br>';
+  s += this.startSymbol.toString(showNonterminals) + '\n';
   for (var i = 0; i < this.nonterminals.length; i++) {
     var symbol = this.nonterminals[i];
-    s += this.productions[symbol].toString(showNonterminals, options) + '<br>';
+    s += this.productions[symbol].toString(showNonterminals) + '\n';
   }
   return s;
 };
+
+
+/**
+ * A GrammarSyntaxError is thrown by Grammar.parse() when the text cannot be
+ * read as a grammar. The line and column properties are 1-based and point at
+ * the offending character.
+ */
+function GrammarSyntaxError(message, line, column) {
+  this.name = 'GrammarSyntaxError';
+  this.message = 'Line ' + line + ', column ' + column + ': ' + message;
+  this.reason = message;
+  this.line = line;
+  this.column = column;
+};
+GrammarSyntaxError.prototype = Object.create(Error.prototype);
+GrammarSyntaxError.prototype.constructor = GrammarSyntaxError;
+
+/** Accepted separators between a nonterminal and its production rules. */
+Grammar.ARROWS = ['->', '\u2192', '::='];
+/**
+ * Accepted spellings of a rule that is exactly epsilon. A rule that reads as
+ * a nonterminal, such as one named eps, is not epsilon.
+ */
+Grammar.EPSILONS = ['\u03B5', 'eps'];
+
+/**
+ * Parses the plain-text format and returns a new Grammar instance. Each
+ * non-blank line has the form
+ *
+ *   S -> aSb | ε
+ *
+ * where the arrow may be any of Grammar.ARROWS and a line beginning with '|'
+ * continues the production on the previous line. The nonterminal of the
+ * first line is the start symbol. A nonterminal is a single character, an
+ * identifier such as Expr, or any name in angle brackets such as <Expr>.
+ * Inside the rules, a quoted string such as "if" is a single terminal and
+ * any other character that does not begin a nonterminal name is a terminal.
+ * Whitespace inside the rules is ignored, so a terminal that is whitespace or
+ * otherwise special must be quoted: "|" or " " or "\"".
+ *
+ * Throws a GrammarSyntaxError if the text is malformed.
+ */
+Grammar.parse = function(text) {
+  var lines = text.split(/\r?\n/);
+  var entries = [];
+
+  // First pass gathers the nonterminal and the unparsed rules of each line,
+  // since we need to know all of the nonterminals before reading any rules.
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    var first = line.search(/\S/);
+    if (first === -1) {
+      // Ignore blank lines.
+      continue;
+    }
+    if (line[first] === '|') {
+      if (entries.length === 0) {
+        throw new GrammarSyntaxError('Expected a nonterminal before \'|\'',
+                                     i + 1, first + 1);
+      }
+      entries.push({
+        lhs: entries[entries.length - 1].lhs,
+        rhs: line.substring(first + 1),
+        line: i + 1,
+        column: first + 2
+      });
+      continue;
+    }
+    var arrow = findArrow(line);
+    if (!arrow) {
+      throw new GrammarSyntaxError('Expected \'->\' after the nonterminal',
+                                   i + 1, line.length + 1);
+    }
+    var lhsText = line.substring(0, arrow.index).trim();
+    if (lhsText === '') {
+      throw new GrammarSyntaxError('Expected a nonterminal before \'' +
+                                   arrow.text + '\'', i + 1, arrow.index + 1);
+    }
+    var lhs = Grammar.readNonterminalName(lhsText);
+    if (lhs === null) {
+      throw new GrammarSyntaxError('Nonterminal \'' + lhsText + '\' must be ' +
+                                   'a single character, an identifier or a ' +
+                                   'name in angle brackets', i + 1, first + 1);
+    }
+    entries.push({
+      lhs: lhs,
+      rhs: line.substring(arrow.index + arrow.text.length),
+      line: i + 1,
+      column: arrow.index + arrow.text.length + 1
+    });
+  }
+  if (entries.length === 0) {
+    throw new GrammarSyntaxError('Expected at least one production', 1, 1);
+  }
+
+  var nonterminals = Object.create(null);
+  for (var i = 0; i < entries.length; i++) {
+    nonterminals[entries[i].lhs] = true;
+  }
+
+  // Second pass reads the rules now that every nonterminal is known.
+  var grammar = new Grammar(new Symbol(entries[0].lhs, false));
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    var production = new Production(new Symbol(entry.lhs, false));
+    var rules = readRules(entry.rhs, nonterminals, entry.line, entry.column);
+    for (var j = 0; j < rules.length; j++) {
+      production.addArray(rules[j]);
+    }
+    grammar.addProduction(production);
+  }
+  return grammar;
+};
+
+/**
+ * Returns the position and text of the first arrow in the line, or null if
+ * there is none.
+ */
+function findArrow(line) {
+  var arrow = null;
+  for (var i = 0; i < Grammar.ARROWS.length; i++) {
+    var index = line.indexOf(Grammar.ARROWS[i]);
+    if (index !== -1 && (!arrow || index < arrow.index)) {
+      arrow = {index: index, text: Grammar.ARROWS[i]};
+    }
+  }
+  return arrow;
+};
+
+/**
+ * Returns the nonterminal name written as str, or null if str is not a valid
+ * nonterminal. Angle brackets around the name are removed.
+ */
+Grammar.readNonterminalName = function(str) {
+  var match = /^<([^<>|"\n]+)>$/.exec(str);
+  if (match) {
+    return match[1];
+  }
+  if (str.length === 1 || /^[A-Za-z_][A-Za-z0-9_']*$/.test(str)) {
+    return str;
+  }
+  return null;
+};
+
+/**
+ * Reads a production rule as typed into one field of the grammar editor and
+ * returns a SymArray. Unlike the plain-text format, whitespace is kept as
+ * terminals and an unterminated quote is read as a terminal character.
+ */
+Grammar.readRule = function(str, nonterminals) {
+  var symbols = [];
+  for (var i = 0; i < str.length;) {
+    var result = readSymbol(str, i, nonterminals, false);
+    if (result.symbol) {
+      symbols.push(result.symbol);
+    }
+    i += result.length;
+  }
+  return new SymArray(symbols);
+};
+
+/**
+ * Reads the Symbol that begins at index i of str. Returns an object with the
+ * Symbol, which is null for the empty quote "", and the number of characters
+ * that it spans. A quoted string is one terminal, a name in angle brackets is
+ * one nonterminal, and otherwise the longest nonterminal name at index i is
+ * preferred over a single terminal character.
+ *
+ * If strict is true, an unterminated quote throws a GrammarSyntaxError
+ * located with the line and column of str. Otherwise it is read as a
+ * terminal character.
+ */
+function readSymbol(str, i, nonterminals, strict, line, column) {
+  var ch = str[i];
+  if (ch === '"') {
+    var name = '';
+    for (var j = i + 1; j < str.length && str[j] !== '"'; j++) {
+      if (str[j] === '\\' && j + 1 < str.length) {
+        j++;
+      }
+      name += str[j];
+    }
+    if (j < str.length) {
+      return {
+        symbol: name === '' ? null : new Symbol(name, true),
+        length: j + 1 - i
+      };
+    }
+    if (strict) {
+      throw new GrammarSyntaxError('Unterminated quote', line, column + i);
+    }
+  } else if (ch === '<') {
+    var match = /^<([^<>|"\n]+)>/.exec(str.substring(i));
+    if (match) {
+      return {symbol: new Symbol(match[1], false), length: match[0].length};
+    }
+  } else {
+    var longest = '';
+    for (var name in nonterminals) {
+      if (name.length > longest.length &&
+          str.substring(i, i + name.length) === name) {
+        longest = name;
+      }
+    }
+    if (longest !== '') {
+      return {symbol: new Symbol(longest, false), length: longest.length};
+    }
+  }
+  return {symbol: new Symbol(ch, true), length: 1};
+};
+
+/**
+ * Reads the '|' separated rules on the right hand side of a line and returns
+ * an Array of SymArray instances. The line and column parameters locate str
+ * within the original text for error reporting.
+ */
+function readRules(str, nonterminals, line, column) {
+  var rules = [];
+  var symbols = [];
+  var plain = '';
+  var hasNonterminal = false;
+  for (var i = 0; i <= str.length;) {
+    var ch = str[i];
+    if (i === str.length || ch === '|') {
+      // A rule spelled exactly as one of the epsilon aliases is empty, unless
+      // the spelling names a nonterminal such as eps.
+      if (Grammar.EPSILONS.indexOf(plain) !== -1 && !hasNonterminal) {
+        symbols = [];
+      }
+      rules.push(new SymArray(symbols));
+      symbols = [];
+      plain = '';
+      hasNonterminal = false;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '\u03B5') {
+      // Epsilon is the empty string, so it contributes no Symbols.
+      plain += ch;
+      i++;
+    } else {
+      var result = readSymbol(str, i, nonterminals, true, line, column);
+      if (result.symbol) {
+        symbols.push(result.symbol);
+        hasNonterminal = hasNonterminal || !result.symbol.isTerminal;
+      }
+      // Only unquoted text counts towards an epsilon alias.
+      plain += ch === '"' ? ch : str.substr(i, result.length);
+      i += result.length;
+    }
+  }
+  return rules;
+};
+
+/**
+ * Returns true if some name in nonterminals begins with ch.
+ */
+function beginsNonterminal(ch, nonterminals) {
+  for (var name in nonterminals) {
+    if (name[0] === ch) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Returns the text of this Symbol as it appears in the plain-text format.
+ * Symbols that would otherwise be read back differently are quoted or put in
+ * angle brackets. If keepWhitespace is true, whitespace terminals are left
+ * unquoted as in the fields of the grammar editor.
+ */
+Symbol.prototype.toText = function(nonterminals, keepWhitespace) {
+  var special = this.ch.length !== 1 || /[|"<\u03B5]/.test(this.ch) ||
+                (!keepWhitespace && /\s/.test(this.ch));
+  if (this.isTerminal) {
+    if (special || beginsNonterminal(this.ch, nonterminals)) {
+      return '"' + this.ch.replace(/["\\]/g, '\\$&') + '"';
+    }
+  } else {
+    if (special || !nonterminals[this.ch]) {
+      return '<' + this.ch + '>';
+    }
+    for (var name in nonterminals) {
+      if (name !== this.ch && name[0] === this.ch) {
+        // A longer name would be read instead.
+        return '<' + this.ch + '>';
+      }
+    }
+  }
+  return this.ch;
+};
+
+/**
+ * Returns the text of this SymArray as it appears in the plain-text format,
+ * where the empty SymArray is written as epsilon.
+ */
+SymArray.prototype.toText = function(nonterminals) {
+  if (this.symbols.length === 0) {
+    return '\u03B5';
+  }
+  var str = '';
+  var hasNonterminal = false;
+  for (var i = 0; i < this.symbols.length; i++) {
+    str += this.symbols[i].toText(nonterminals);
+    hasNonterminal = hasNonterminal || !this.symbols[i].isTerminal;
+  }
+  if (str === 'eps' && !hasNonterminal) {
+    // Keep three terminals from being read back as epsilon.
+    str = '"e"ps';
+  }
+  return str;
+};
+
+/**
+ * lhs -> rhs[0] | rhs[1] | ... in the plain-text format.
+ */
+Production.prototype.toText = function(nonterminals) {
+  var str = this.lhs.toText(nonterminals) + ' -> ';
+  for (var i = 0; i < this.rhs.length; i++) {
+    str += this.rhs[i].toText(nonterminals);
+    if (i !== this.rhs.length - 1) {
+      str += ' | ';
+    }
+  }
+  return str;
+};
+
+/**
+ * Returns this Grammar in the plain-text format read by Grammar.parse(), one
+ * line per Production with the start symbol's Production first.
+ */
+Grammar.prototype.toText = function() {
+  var nonterminals = Object.create(null);
+  for (var i = 0; i < this.nonterminals.length; i++) {
+    nonterminals[this.nonterminals[i]] = true;
+  }
+  var order = [this.startSymbol.ch];
+  for (var i = 0; i < this.nonterminals.length; i++) {
+    if (this.nonterminals[i] !== this.startSymbol.ch) {
+      order.push(this.nonterminals[i]);
+    }
+  }
+  var lines = [];
+  for (var i = 0; i < order.length; i++) {
+    if (this.productions[order[i]]) {
+      lines.push(this.productions[order[i]].toText(nonterminals));
+    }
+  }
+  return lines.join('\n');
+};
+
+
+/**
+ * Returns a plain object that describes this Grammar in JSON. The start
+ * property is the name of the start symbol and the nonterminals property is
+ * an Array of {name, alternatives} objects in order. Each alternative is an
+ * Array of {terminal: text} and {nonterminal: name} objects, and epsilon is
+ * the empty Array.
+ */
+Grammar.prototype.toJSON = function() {
+  var nonterminals = [];
+  for (var i = 0; i < this.nonterminals.length; i++) {
+    var rhs = this.productions[this.nonterminals[i]].rhs;
+    var alternatives = [];
+    for (var j = 0; j < rhs.length; j++) {
+      var symbols = [];
+      for (var k = 0; k < rhs[j].symbols.length; k++) {
+        var symbol = rhs[j].symbols[k];
+        symbols.push(symbol.isTerminal ? {terminal: symbol.ch} :
+                                         {nonterminal: symbol.ch});
+      }
+      alternatives.push(symbols);
+    }
+    nonterminals.push({name: this.nonterminals[i], alternatives: alternatives});
+  }
+  return {start: this.startSymbol.ch, nonterminals: nonterminals};
+};
+
+/**
+ * Returns a new Grammar instance from an object in the format of
+ * Grammar.prototype.toJSON(). Throws a GrammarFormatError if the object is
+ * not in that format.
+ */
+Grammar.fromJSON = function(object) {
+  if (!object || typeof object.start !== 'string' || object.start === '') {
+    throw new GrammarFormatError('The grammar needs a "start" nonterminal.');
+  }
+  if (!(object.nonterminals instanceof Array)) {
+    throw new GrammarFormatError('The grammar needs a "nonterminals" array.');
+  }
+  var grammar = new Grammar(new Symbol(object.start, false));
+  for (var i = 0; i < object.nonterminals.length; i++) {
+    var nonterminal = object.nonterminals[i];
+    if (!nonterminal || typeof nonterminal.name !== 'string' ||
+        nonterminal.name === '' ||
+        !(nonterminal.alternatives instanceof Array)) {
+      throw new GrammarFormatError('Nonterminal ' + (i + 1) + ' needs a ' +
+                                   '"name" and an "alternatives" array.');
+    }
+    var production = new Production(new Symbol(nonterminal.name, false));
+    for (var j = 0; j < nonterminal.alternatives.length; j++) {
+      var alternative = nonterminal.alternatives[j];
+      if (!(alternative instanceof Array)) {
+        throw new GrammarFormatError('Each alternative of ' +
+                                     nonterminal.name + ' must be an array.');
+      }
+      var symbols = [];
+      for (var k = 0; k < alternative.length; k++) {
+        symbols.push(symbolFromJSON(alternative[k], nonterminal.name));
+      }
+      production.addArray(new SymArray(symbols));
+    }
+    grammar.addProduction(production);
+  }
+  return grammar;
+};
+
+/**
+ * Returns the Symbol for a {terminal} or {nonterminal} object of an
+ * alternative of the nonterminal named lhs.
+ */
+function symbolFromJSON(object, lhs) {
+  if (object && typeof object.terminal === 'string' &&
+      object.terminal !== '') {
+    return new Symbol(object.terminal, true);
+  }
+  if (object && typeof object.nonterminal === 'string' &&
+      object.nonterminal !== '') {
+    return new Symbol(object.nonterminal, false);
+  }
+  throw new GrammarFormatError('The alternatives of ' + lhs + ' may only ' +
+                               'hold {"terminal"} and {"nonterminal"} ' +
+                               'objects with non-empty text.');
+};
+
+/**
+ * A GrammarFormatError is thrown by Grammar.fromJSON() when the object does
+ * not describe a grammar.
+ */
+function GrammarFormatError(message) {
+  this.name = 'GrammarFormatError';
+  this.message = message;
+};
+GrammarFormatError.prototype = Object.create(Error.prototype);
+GrammarFormatError.prototype.constructor = GrammarFormatError;
+
+
+// In Node, each model file is a CommonJS module that exports its classes and
+// requires those of the files it depends on. In the browser, the files are
+// loaded with script tags in order and their functions are globals.
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    Symbol: Symbol,
+    SymArray: SymArray,
+    Production: Production,
+    Grammar: Grammar,
+    GrammarSyntaxError: GrammarSyntaxError,
+    GrammarFormatError: GrammarFormatError
+  };
+}
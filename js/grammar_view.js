@@ -65,9 +65,45 @@ function initializeGrammarDOM() {
   $('#new-production').click(function(event) { newProduction(false); });
   $('#reset').click(function(event) { resetGrammar(); });
   $('#example').click(function(event) { exampleGrammar(); });
+  $('#share').click(function(event) { shareGrammar(); });
+  $('#export-text').click(function(event) { exportText(); });
+  $('#export-json').click(function(event) { exportJSON(); });
+  $('#import').click(function(event) { $('#import-file').click(); });
+  $('#import-file').change(function(event) {
+    if (this.files[0]) {
+      importGrammarFile(this.files[0]);
+    }
+    // Allow the same file to be imported again.
+    $(this).val('');
+  });
+  $('#save-grammar').click(function(event) { saveNamedGrammar(); });
+  $('#open-grammar').click(function(event) { openNamedGrammar(); });
+  $('#delete-grammar').click(function(event) { deleteNamedGrammar(); });
+  $('#ambiguity-search').click(function(event) { findAmbiguity(); });
+  $('#language-list').click(function(event) { listLanguage(); });
+  $('#language-sample').click(function(event) { sampleLanguage(); });
+  $('#equivalence-check').click(function(event) { compareWithReference(); });
+  $('#exercise-check').click(function(event) { checkExercise(); });
+  initializeExercises();
+  initializeTextEditor();
+  $('#parser').change(function(event) {
+    clearCache();
+    startTest();
+  });
+  // The conversion may be slow, so only show it while the panel is open.
+  $('#cnf').on('show.bs.collapse', function(event) {
+    showCNFSteps(readGrammar());
+  });
 
   // Retest CFG any time a key is pressed in the test strings textarea.
   $('#test-input').keyup(testCFG);
+
+  // Bring back a shared CFG, or else the work from the last visit.
+  showSavedGrammars();
+  if (!restoreSharedGrammar()) {
+    restoreAutosave();
+  }
+  initializeHistory();
 };
 
 /**
@@ -81,8 +117,7 @@ function newProduction(isStart) {
   var ntDiv = jQuery('<div/>', {'class': 'col-xs-nt'}).appendTo(formGroup);
   var ntInput = jQuery('<input/>', {
     'type': 'text',
-    'class': 'form-control nonterminal',
-    'maxlength': '1'
+    'class': 'form-control nonterminal'
   }).appendTo(ntDiv).keydown(handleNtInput).keyup(handleKeyup);
 
   // Arrow.
@@ -302,6 +337,7 @@ function resetGrammar() {
     $('#grammar').empty();
     clearCache();
     newProduction(true);
+    syncGrammarText();
     startTest();
   }
 };
@@ -313,22 +349,123 @@ function exampleGrammar() {
   var msg = 'Showing an example CFG will overwrite the current CFG *and* ' +
             'test strings. Are you sure?';
   if (window.confirm(msg)) {
-    $('#grammar').empty();
-    clearCache();
-    newProduction(true)[0].lastChild.firstChild.value = 'T+T';
-    var prod2 = newProduction(false);
-    prod2[0].firstChild.firstChild.value = 'T';
-    var ruleInput = prod2[0].firstChild.nextSibling.nextSibling.firstChild;
-    for (var i = 1; i < 4; i++) {
-      ruleInput.value = '' + i;
+    loadGrammar(Grammar.parse('S -> T+T\nT -> 1 | 2 | 3 | 4'),
+                '1+2\n4+2\n\n2+5\n3+3');
+  }
+};
+
+/**
+ * Replaces the production rows with the contents of a Grammar instance and
+ * the test strings with the given text, then tests them. Every feature that
+ * loads a whole CFG into the page goes through here.
+ */
+function loadGrammar(grammar, tests) {
+  fillGrammar(grammar);
+  syncGrammarText();
+  $('#test-input').val(tests);
+  startTest();
+};
+
+/**
+ * Replaces the production rows with the contents of a Grammar instance. The
+ * start symbol's Production is always placed in the first row.
+ */
+function fillGrammar(grammar) {
+  $('#grammar').empty();
+  clearCache();
+  var order = [grammar.startSymbol.ch];
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    if (grammar.nonterminals[i] !== grammar.startSymbol.ch) {
+      order.push(grammar.nonterminals[i]);
+    }
+  }
+  var nonterminals = Object.create(null);
+  for (var i = 0; i < order.length; i++) {
+    nonterminals[order[i]] = true;
+  }
+  for (var i = 0; i < order.length; i++) {
+    var production = grammar.productions[order[i]];
+    var row = newProduction(i === 0)[0];
+    row.firstChild.firstChild.value = order[i];
+    if (!production) {
+      continue;
+    }
+    var ruleInput = row.firstChild.nextSibling.nextSibling.firstChild;
+    for (var j = 0; j < production.rhs.length; j++) {
+      if (j !== 0) {
+        ruleInput = newRule(ruleInput)[0].firstChild;
+      }
+      ruleInput.value = ruleFieldValue(production.rhs[j], nonterminals);
+    }
+  }
+};
+
+/**
+ * Returns the production rows exactly as they are typed: an Array with, for
+ * each row, an Array of the values of its nonterminal field and its rule
+ * fields.
+ */
+function readGrammarRows() {
+  var rows = [];
+  $('#grammar div.production-row').each(function(index, row) {
+    rows.push($(row).find('input').map(function(index, input) {
+      return input.value;
+    }).get());
+  });
+  return rows;
+};
+
+/**
+ * Returns true if rows has the format of readGrammarRows(), with at least
+ * one row.
+ */
+function isGrammarRows(rows) {
+  if (!(rows instanceof Array) || rows.length === 0) {
+    return false;
+  }
+  for (var i = 0; i < rows.length; i++) {
+    if (!(rows[i] instanceof Array) || rows[i].length < 2) {
+      return false;
+    }
+    for (var j = 0; j < rows[i].length; j++) {
+      if (typeof rows[i][j] !== 'string') {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+/**
+ * Replaces the production rows with rows in the format of readGrammarRows().
+ */
+function fillGrammarRows(rows) {
+  $('#grammar').empty();
+  clearCache();
+  for (var i = 0; i < rows.length; i++) {
+    var row = newProduction(i === 0)[0];
+    var ruleInput = row.firstChild.nextSibling.nextSibling.firstChild;
+    for (var j = 2; j < rows[i].length; j++) {
       ruleInput = newRule(ruleInput)[0].firstChild;
     }
-    ruleInput.value = '' + 4;
-    $('#test-input').val('1+2\n4+2\n\n2+5\n3+3');
-    startTest();
+    $(row).find('input').each(function(index, input) {
+      input.value = rows[i][index];
+    });
   }
 };
 
+/**
+ * Returns the text to place in a production rule field for a SymArray. This
+ * is the plain-text format except that whitespace is typed as is.
+ */
+function ruleFieldValue(symArray, nonterminals) {
+  var str = '';
+  for (var i = 0; i < symArray.symbols.length; i++) {
+    str += symArray.symbols[i].toText(nonterminals, true);
+  }
+  return str;
+};
+
 
 /**
  * Tests the current CFG input by the user. Reads the strings from the test
@@ -342,21 +479,40 @@ function testCFG() {
   tbody.empty();
 
   // Obtain the test strings and read the user CFG.
-  var strings = $('#test-input').val().split(/\r?\n/);
-  var grammar = readGrammar();
-  var earley = new Earley(grammar);
-  // Display the toString() version of the Grammar to the user.
-  // Note that the toString() version gives direct HTML.
-  $('#current-grammar').html(grammar.toString(true, Symbol.BOLD));
+  var testCases = TestCase.parseLines($('#test-input').val());
+  var warnings = [];
+  var grammar = readGrammar(warnings);
+  var parsers = getParsers(grammar);
+  // Display the Grammar to the user in HTML.
+  $('#current-grammar').html(grammarHTML(grammar, symbolHTML.BOLD));
+  showAnalysis(grammar);
+  if (findAmbiguity.grammarText !== grammar.toText()) {
+    // The last ambiguity search was for a different grammar.
+    $('#ambiguity-result').empty();
+  }
+  if (listLanguage.grammarText !== grammar.toText()) {
+    $('#language-result').empty();
+  }
+  if (compareWithReference.grammarText !== grammar.toText()) {
+    $('#equivalence-result').empty();
+  }
+  if (checkExercise.grammarText !== grammar.toText()) {
+    $('#exercise-result').empty();
+  }
+  if ($('#cnf').hasClass('in')) {
+    showCNFSteps(grammar);
+  }
+  showWarnings(grammar, warnings);
 
   // Test each string
-  for (var i = 0; i < strings.length; i++) {
-    var str = strings[i];
-    // Current string is a match if matchState is not null or undefined.
-    var matchState = testCFG.cache[str];
-    if (matchState === undefined) {
-      matchState = earley.doesMatch(str);
-      testCFG.cache[str] = matchState;
+  var passed = 0;
+  var failed = 0;
+  for (var i = 0; i < testCases.length; i++) {
+    var str = testCases[i].string;
+    var result = testCFG.cache[str];
+    if (result === undefined) {
+      result = testString(parsers, str);
+      testCFG.cache[str] = result;
       testCFG.cacheQueue.push(str);
       if (testCFG.cacheQueue.length > testCFG.MAX_CACHE_SIZE) {
         delete testCFG.cache[testCFG.cacheQueue.shift()];
@@ -367,15 +523,39 @@ function testCFG() {
       testCFG.cacheQueue.push(str);
     }
 
-    // Call escapeHTML() from grammar.js
-    str = escapeHTML(str);
+    // Current string is a match if matchState is not null or undefined.
+    var matchState = result.matchState;
     var isMatch = !!matchState;
+    var matchHTML = isMatch ? 'Yes' : 'No';
+    var rowClass = isMatch ? 'success' : 'danger';
+    if (result.trees.length > 1) {
+      matchHTML += ' <span class="label label-warning">Ambiguous</span>';
+    }
+    if (result.mismatch) {
+      // The parsers disagree, so report both answers.
+      matchHTML = 'Earley: ' + matchHTML + '<br>CYK: ' +
+                  (isMatch ? 'No' : 'Yes');
+      rowClass = 'warning';
+    }
+    var passes = testCases[i].passes(isMatch);
+    if (passes === true) {
+      matchHTML += ' <span class="label label-success">Pass</span>';
+      passed++;
+    } else if (passes === false) {
+      matchHTML += ' <span class="label label-danger">Fail</span>';
+      failed++;
+    }
+
+    // Call escapeHTML() from html_view.js
+    var rawStr = str;
+    str = escapeHTML(str);
     // The row in the results table reports whether the string is a match
     // and is also color coded.
-    var row = $('<tr/>', {'class': isMatch ? 'success' : 'danger'})
+    var row = $('<tr/>', {'class': rowClass})
                 .append($('<td/>', {'html': (i + 1)}))
                 .append($('<td/>', {'html': '&quot;' + str + '&quot;'}))
-                .append($('<td/>', {'html': isMatch ? 'Yes' : 'No'}));
+                .append($('<td/>', {'html': matchHTML}))
+                .append($('<td/>', {'text': formatTreeCount(result.count)}));
     var lastTd = $('<td/>', {'class': 'derivation-cell'}).appendTo(row);
     tbody.append(row);
 
@@ -387,36 +567,237 @@ function testCFG() {
         'data-target': '#deriv-' + (i + 1),
         'html': 'See Derivation'
       }));
-      var derivationRow = getDerivationRow(matchState, i);
+      var derivationRow = getDerivationRow(matchState, i, result.trees);
       tbody.append(derivationRow);
+      lastTd.append('<br>');
     }
+
+    // The CYK table is filled in only once it is opened.
+    lastTd.append($('<a/>', {
+      'data-toggle': 'collapse',
+      'class': 'cyk-toggle',
+      'data-target': '#cyk-' + (i + 1),
+      'html': 'See CYK Table'
+    }));
+    tbody.append(getCYKRow(rawStr, i));
   }
+  showTestSummary(passed, failed);
+  recordHistory();
+  autosave();
 
   // Just in case someone wants to try number overflow
   State.counter = 0;
 };
 
 testCFG.cacheQueue = [];
-testCFG.cache = {};
+testCFG.cache = Object.create(null);
 testCFG.MAX_CACHE_SIZE = 50;
 
 function clearCache() {
   testCFG.cacheQueue = [];
-  testCFG.cache = {};
+  testCFG.cache = Object.create(null);
 }
 
+/**
+ * Shows how many test strings with an expected result passed, or nothing if
+ * no test string has one.
+ */
+function showTestSummary(passed, failed) {
+  var summary = $('#test-summary');
+  summary.removeClass('text-success text-danger');
+  if (passed + failed === 0) {
+    summary.empty();
+    return;
+  }
+  summary.addClass(failed === 0 ? 'text-success' : 'text-danger');
+  summary.text(passed + ' of ' + (passed + failed) + ' expected results ' +
+               'met' + (failed === 0 ? '.' : ', ' + failed + ' failed.'));
+}
+
+/**
+ * Returns the parsers chosen with the parser selector. The earley and cyk
+ * properties hold an Earley or CYK instance for the grammar if that parser
+ * is in use.
+ */
+function getParsers(grammar) {
+  var choice = $('#parser').val();
+  var parsers = {};
+  if (choice !== 'cyk') {
+    parsers.earley = new Earley(grammar);
+  }
+  if (choice !== 'earley') {
+    parsers.cyk = new CYK(grammar);
+  }
+  return parsers;
+};
+
+/**
+ * Runs each parser in use on the string. Returns an object whose matchState
+ * property is the result of doesMatch(), preferring the Earley parser since
+ * its derivation uses the original grammar. If both parsers are in use, the
+ * mismatch property is true when they disagree about whether it matches.
+ * If the Earley parser is in use, the count property holds the number of
+ * parse trees of the string from ParseForest.countTrees(), and the trees
+ * property holds two of them if there are several. Otherwise, count is null.
+ */
+function testString(parsers, str) {
+  var result = {matchState: null, mismatch: false, count: null, trees: []};
+  if (parsers.cyk) {
+    result.matchState = parsers.cyk.doesMatch(str);
+  }
+  if (parsers.earley) {
+    var earleyMatch = parsers.earley.doesMatch(str);
+    result.mismatch = !!parsers.cyk && !earleyMatch !== !result.matchState;
+    result.matchState = earleyMatch;
+    var forest = parsers.earley.getParseForest(str);
+    result.count = forest.countTrees();
+    // Only an ambiguous string shows two parse trees.
+    if (result.count === Infinity || result.count > BigInt(1)) {
+      result.trees = forest.getTrees(2);
+    }
+  }
+  return result;
+};
+
+/**
+ * Returns the text shown for a count of parse trees from
+ * ParseForest.countTrees(), or an empty string if the count is null.
+ */
+function formatTreeCount(count) {
+  if (count === null) {
+    return '';
+  }
+  return count === Infinity ? 'Infinitely many' : count.toString();
+};
+
+
+/**
+ * Fills the analysis table with the nullable nonterminals and the FIRST and
+ * FOLLOW sets of the grammar, one row per nonterminal.
+ */
+function showAnalysis(grammar) {
+  var tbody = $('#analysis-results');
+  tbody.empty();
+  var nullable = grammar.getNullable();
+  var first = grammar.getFirstSets(nullable);
+  var follow = grammar.getFollowSets(first, nullable);
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    var nonterminal = grammar.nonterminals[i];
+    $('<tr/>')
+      .append($('<td/>', {
+        'html': symbolHTML(new Symbol(nonterminal, false),
+                           symbolHTML.BOLD)
+      }))
+      .append($('<td/>', {'html': nullable[nonterminal] ? 'Yes' : 'No'}))
+      .append($('<td/>', {'html': formatTerminalSet(first[nonterminal])}))
+      .append($('<td/>', {'html': formatTerminalSet(follow[nonterminal])}))
+      .appendTo(tbody);
+  }
+};
+
+/**
+ * Lists each step of the conversion of the grammar to Chomsky Normal Form
+ * with a description of the step and the resulting grammar.
+ */
+function showCNFSteps(grammar) {
+  var list = $('#cnf-steps');
+  list.empty();
+  var steps = grammar.getCNFSteps();
+  for (var i = 0; i < steps.length; i++) {
+    $('<li/>')
+      .append($('<strong/>', {'text': steps[i].title}))
+      .append($('<p/>', {'text': steps[i].description}))
+      .append($('<div/>', {
+        'class': 'cnf-grammar',
+        'html': grammarHTML(steps[i].grammar, symbolHTML.BOLD)
+      }))
+      .appendTo(list);
+  }
+};
 
 /**
- * Reads the user input CFG and returns a Grammar instance.
+ * Returns HTML for a set of terminal names, sorted, with the end-of-input
+ * marker shown as $ at the end.
  */
-function readGrammar() {
+function formatTerminalSet(set) {
+  var names = [];
+  for (var name in set) {
+    if (name !== Grammar.END_MARKER) {
+      names.push(escapeHTML(name));
+    }
+  }
+  names.sort();
+  if (set[Grammar.END_MARKER]) {
+    names.push('<em>$</em>');
+  }
+  return '{ ' + names.join(', ') + ' }';
+};
+
+
+/**
+ * Shows the warnings from Grammar.getWarnings() below the first production
+ * row of the nonterminal they belong to, along with any row warnings from
+ * readGrammar().
+ */
+function showWarnings(grammar, rowWarnings) {
+  $('#grammar div.production-row').removeClass('has-warning');
+  $('#grammar div.production-warning').remove();
+
+  // Find the first production row of each nonterminal.
+  var firstRows = Object.create(null);
+  $('div.production-row').each(function(index, row) {
+    var ch = readNonterminalField(row.firstChild.firstChild);
+    if (ch !== '' && !firstRows[ch]) {
+      firstRows[ch] = row;
+    }
+  });
+
+  var rows = [];
+  var messages = [];
+  var grammarWarnings = grammar.getWarnings();
+  var warnings = rowWarnings.slice();
+  for (var i = 0; i < grammarWarnings.length; i++) {
+    warnings.push({
+      row: firstRows[grammarWarnings[i].nonterminal],
+      message: grammarWarnings[i].message
+    });
+  }
+  for (var i = 0; i < warnings.length; i++) {
+    var index = rows.indexOf(warnings[i].row);
+    if (index === -1) {
+      index = rows.push(warnings[i].row) - 1;
+      messages.push([]);
+    }
+    messages[index].push(warnings[i].message);
+  }
+
+  for (var i = 0; i < rows.length; i++) {
+    var warningDiv = $('<div/>', {'class': 'production-warning text-warning'});
+    for (var j = 0; j < messages[i].length; j++) {
+      $('<div/>')
+        .append($('<span/>', {
+          'class': 'glyphicon glyphicon-warning-sign'
+        }))
+        .append(document.createTextNode(' ' + messages[i][j]))
+        .appendTo(warningDiv);
+    }
+    $(rows[i]).addClass('has-warning').after(warningDiv);
+  }
+};
+
+/**
+ * Reads the user input CFG and returns a Grammar instance. If opt_warnings
+ * is given, a {row, message} object is pushed onto it for every rule that
+ * duplicates an earlier rule of the same nonterminal.
+ */
+function readGrammar(opt_warnings) {
   var grammar;
   var startSymbol;
-  var nonterminals = {};
+  var nonterminals = Object.create(null);
 
   // Iterate through all production rows to first gather the nonterminals.
   $('div.production-row').each(function(index, row) {
-    var ch = row.firstChild.firstChild.value;
+    var ch = readNonterminalField(row.firstChild.firstChild);
     if (ch === '') {
       // If there is no nonterminal character, then ignore the row.
       return;
@@ -432,7 +813,7 @@ function readGrammar() {
   // Now iterate through all production rows to construct the Grammar.
   $('div.production-row').each(function(index, row) {
     var currentDiv = row.firstChild;
-    var ch = currentDiv.firstChild.value;
+    var ch = readNonterminalField(currentDiv.firstChild);
     if (ch === '') {
       // If there is no nonterminal character, then ignore the row.
       return;
@@ -442,33 +823,53 @@ function readGrammar() {
 
     // Iterate through all production rules to add to the Production.
     while (currentDiv = currentDiv.nextSibling.nextSibling) {
-      var symbols = [];
+      // Read the Symbols in the text field's string.
       var str = currentDiv.firstChild.value;
-      // Create a Symbol for each character in the text field's string.
-      for (var i = 0; i < str.length; i++) {
-        var ch = str[i];
-        symbols.push(new Symbol(ch, !nonterminals[ch]));
+      if (!production.addArray(Grammar.readRule(str, nonterminals)) &&
+          opt_warnings) {
+        opt_warnings.push({
+          row: row,
+          message: 'The rule ' + (str === '' ? '\u03B5' : str) +
+                   ' appears more than once.'
+        });
       }
-      // Add SymArray to Production.
-      production.addArray(new SymArray(symbols));
       if (currentDiv.nextSibling === null ||
           currentDiv.nextSibling.className === 'remove') {
         // Stop once the next div is null or the remove button.
         break;
       }
     }
-    grammar.addProduction(production);
+    var duplicates = grammar.addProduction(production);
+    for (var i = 0; opt_warnings && i < duplicates.length; i++) {
+      opt_warnings.push({
+        row: row,
+        message: 'The rule ' + duplicates[i].toText(nonterminals) +
+                 ' is already a rule of an earlier production for ' +
+                 lhs.getName() + '.'
+      });
+    }
   });
   return grammar;
 };
 
+/**
+ * Returns the nonterminal name typed into a nonterminal field. Angle brackets
+ * around the name are optional.
+ */
+function readNonterminalField(input) {
+  var name = Grammar.readNonterminalName(input.value);
+  return name === null ? input.value : name;
+};
+
 /**
  * Given the sequence of match states returned by the Earley Parser algorithm,
- * constructs a DOM table that shows the string matching derivation.
+ * constructs a DOM table row that shows the parse tree and the derivation
+ * of the matched string. If opt_trees holds two distinct parse trees, both
+ * are shown side by side instead.
  */
-function getDerivationRow(matchState, index) {
+function getDerivationRow(matchState, index, opt_trees) {
   var derivationRow = $('<tr/>', {'class': 'derivation-row active'});
-  var derivationTd = $('<td/>', {'colspan': '4'}).appendTo(derivationRow);
+  var derivationTd = $('<td/>', {'colspan': '5'}).appendTo(derivationRow);
   // Bootstrap collapse functionality.
   var collapseTarget = $('<div/>', {
     'class': 'panel-collapse collapse',
@@ -478,6 +879,21 @@ function getDerivationRow(matchState, index) {
     'class': 'derivation'
   }).appendTo(collapseTarget);
 
+  if (opt_trees && opt_trees.length > 1) {
+    $('<p/>', {
+      'html': 'This string is <strong>ambiguous</strong>. Two of its parse ' +
+              'trees are:'
+    }).appendTo(derivationDiv);
+    derivationDiv.append(getParseTreePair(opt_trees));
+  } else {
+    var tree = ParseNode.fromDerivation(matchState);
+    if (tree) {
+      $('<div/>', {'class': 'parse-tree'})
+        .append(renderParseTree(tree))
+        .appendTo(derivationDiv);
+    }
+  }
+
   // The table showing the derivation has two columns.
   var derivationTable = $('<table/>', {'class': 'derivations'})
       .append($('<thead/>')
@@ -499,6 +915,414 @@ function getDerivationRow(matchState, index) {
   return derivationRow;
 };
 
+/**
+ * Constructs a collapsed DOM table row that shows the CYK table for the
+ * string once it is opened.
+ */
+function getCYKRow(str, index) {
+  var cykRow = $('<tr/>', {'class': 'cyk-row active'});
+  var cykTd = $('<td/>', {'colspan': '5'}).appendTo(cykRow);
+  var collapseTarget = $('<div/>', {
+    'class': 'panel-collapse collapse',
+    'id': 'cyk-' + (index + 1)
+  }).appendTo(cykTd);
+  collapseTarget.on('show.bs.collapse', function(event) {
+    if (collapseTarget.is(':empty')) {
+      collapseTarget.append(getCYKTable(new CYK(readGrammar()), str));
+    }
+  });
+  return cykRow;
+};
+
+/**
+ * Returns a DOM element showing the triangular CYK table for the string.
+ * The bottom row holds the single characters and each row above holds the
+ * substrings that are one character longer. Each cell lists the nonterminals
+ * of the CNF grammar that derive its substring, and the cells of the parse
+ * tree of the whole string are highlighted.
+ */
+function getCYKTable(cyk, str) {
+  var cykDiv = $('<div/>', {'class': 'cyk'});
+  if (str.length === 0) {
+    return cykDiv.append($('<p/>', {
+      'html': 'The CYK table of the empty string has no cells. It matches ' +
+              'only if the start symbol of the CNF grammar has an ' +
+              '&#949;-rule.'
+    }));
+  }
+  var n = str.length;
+  var table = cyk.getTable(str);
+  var nodes = cyk.getParseNodes(table) || [];
+  // Mark the nonterminal used by the parse tree in each cell.
+  var used = {};
+  for (var i = 0; i < nodes.length; i++) {
+    used[nodes[i].start + ',' + nodes[i].end] = nodes[i].lhs.ch;
+  }
+
+  var cykTable = $('<table/>', {'class': 'cyk-table'});
+  for (var length = n; length >= 1; length--) {
+    var tr = $('<tr/>').appendTo(cykTable);
+    for (var i = 0; i + length <= n; i++) {
+      var key = i + ',' + (i + length);
+      var names = [];
+      for (var name in table[i][i + length]) {
+        var html = symbolHTML(new Symbol(name, false), symbolHTML.BOLD);
+        names.push(used[key] === name ? '<u>' + html + '</u>' : html);
+      }
+      $('<td/>', {
+        'class': used[key] !== undefined ? 'cyk-used' : '',
+        'title': '"' + str.substring(i, i + length) + '"',
+        'html': names.length === 0 ? '&#8709;' : names.join(', ')
+      }).appendTo(tr);
+    }
+  }
+  var inputRow = $('<tr/>').appendTo(cykTable);
+  for (var i = 0; i < n; i++) {
+    $('<th/>', {'text': str[i]}).appendTo(inputRow);
+  }
+  return cykDiv.append(cykTable);
+};
+
+/**
+ * Returns a DOM element that shows the first two parse trees side by side.
+ */
+function getParseTreePair(trees) {
+  var pair = $('<div/>', {'class': 'parse-tree'});
+  for (var i = 0; i < 2; i++) {
+    $('<div/>', {'class': 'parse-tree-half'})
+      .append(renderParseTree(trees[i]))
+      .appendTo(pair);
+  }
+  return pair;
+};
+
+/**
+ * Searches for the shortest ambiguous string up to the length chosen by the
+ * user and shows the result with two of its parse trees.
+ */
+function findAmbiguity() {
+  var resultDiv = $('#ambiguity-result');
+  resultDiv.empty();
+  var maxLength = parseInt($('#ambiguity-length').val(), 10);
+  if (isNaN(maxLength) || maxLength < 0) {
+    resultDiv.text('Please enter a length of at least 0.');
+    return;
+  }
+  var grammar = readGrammar();
+  findAmbiguity.grammarText = grammar.toText();
+  var result = new Earley(grammar).findShortestAmbiguousString(maxLength);
+  State.counter = 0;
+  if (result.string !== null) {
+    $('<p/>')
+      .append(document.createTextNode('The shortest ambiguous string is '))
+      .append($('<strong/>', {'text': '"' + result.string + '"'}))
+      .append(document.createTextNode('. Two of its parse trees are:'))
+      .appendTo(resultDiv);
+    resultDiv.append(getParseTreePair(result.trees));
+  } else if (result.limitReached) {
+    resultDiv.text('No ambiguous string was found among the first ' +
+                   result.checked + ' strings. Try a shorter length.');
+  } else {
+    resultDiv.text('No ambiguous string of length at most ' + maxLength +
+                   ' was found. The grammar may still be ambiguous for ' +
+                   'longer strings.');
+  }
+};
+
+/** Text of the grammar searched by the last call to findAmbiguity(). */
+findAmbiguity.grammarText = null;
+
+/**
+ * Lists the strings of the language up to the length chosen by the user,
+ * with a button that adds them to the test strings.
+ */
+function listLanguage() {
+  var resultDiv = $('#language-result');
+  resultDiv.empty();
+  var maxLength = parseInt($('#language-length').val(), 10);
+  if (isNaN(maxLength) || maxLength < 0) {
+    resultDiv.text('Please enter a length of at least 0.');
+    return;
+  }
+  var grammar = readGrammar();
+  listLanguage.grammarText = grammar.toText();
+  var result = grammar.getLanguage(maxLength);
+  var strings = result.strings;
+  if (strings.length === 0) {
+    resultDiv.text('The grammar generates no string of length at most ' +
+                   maxLength + '.');
+    return;
+  }
+  var summary = result.limitReached ?
+      'The first ' + strings.length + ' strings of the language are:' :
+      'The grammar generates ' + strings.length + ' string' +
+      (strings.length === 1 ? '' : 's') + ' of length at most ' +
+      maxLength + ':';
+  showLanguageStrings(summary, strings);
+};
+
+/** Text of the grammar listed by the last call to listLanguage(). */
+listLanguage.grammarText = null;
+
+/**
+ * Compares the language of the grammar with that of the reference grammar
+ * written by the user, on every string up to the length chosen by the user,
+ * and shows the shortest string that tells them apart in each direction.
+ */
+function compareWithReference() {
+  var resultDiv = $('#equivalence-result');
+  resultDiv.empty();
+  var maxLength = parseInt($('#equivalence-length').val(), 10);
+  if (isNaN(maxLength) || maxLength < 0) {
+    resultDiv.text('Please enter a length of at least 0.');
+    return;
+  }
+  var reference;
+  try {
+    reference = Grammar.parse($('#reference-grammar').val());
+  } catch (e) {
+    if (!(e instanceof GrammarSyntaxError)) {
+      throw e;
+    }
+    resultDiv.text('The reference grammar is invalid. ' + e.message);
+    return;
+  }
+  var grammar = readGrammar();
+  compareWithReference.grammarText = grammar.toText();
+  var result = grammar.compareLanguages(reference, maxLength);
+  State.counter = 0;
+  if (result.onlyThis === null && result.onlyReference === null) {
+    resultDiv.text(result.limitReached ?
+        'The grammars agree on the first ' + result.checked + ' strings. ' +
+        'Try a shorter length.' :
+        'The grammars agree on every string of length at most ' + maxLength +
+        '. They may still differ on longer strings.');
+    return;
+  }
+  resultDiv.append(getCounterexample(
+      'Generated by your grammar but not the reference: ', result.onlyThis));
+  resultDiv.append(getCounterexample(
+      'Generated by the reference but not your grammar: ',
+      result.onlyReference));
+};
+
+/** Text of the grammar compared by the last compareWithReference() call. */
+compareWithReference.grammarText = null;
+
+/**
+ * Returns a paragraph with the label and the counterexample string, or
+ * with a note that none was found if str is null.
+ */
+function getCounterexample(label, str) {
+  var paragraph = $('<p/>').append(document.createTextNode(label));
+  if (str === null) {
+    return paragraph.append($('<em/>', {'text': 'none found'}));
+  }
+  return paragraph.append($('<strong/>', {
+    'text': str === '' ? 'ε' : '"' + str + '"'
+  }));
+};
+
+/**
+ * Fills the exercise selector with the bundled exercises and binds the
+ * handlers that choose an exercise from it or from a JSON file.
+ */
+function initializeExercises() {
+  var select = $('#exercise-select');
+  for (var i = 0; i < Exercise.BUNDLED.length; i++) {
+    $('<option/>', {'value': i, 'text': Exercise.BUNDLED[i].title})
+      .appendTo(select);
+  }
+  select.change(function(event) {
+    var value = select.val();
+    $('#exercise-file').val('');
+    selectExercise(value === '' ? null :
+                   new Exercise(Exercise.BUNDLED[parseInt(value, 10)]));
+  });
+  $('#exercise-file').change(function(event) {
+    var file = this.files[0];
+    if (!file) {
+      return;
+    }
+    var reader = new FileReader();
+    reader.onload = function() {
+      select.val('');
+      try {
+        selectExercise(Exercise.fromJSON(reader.result));
+      } catch (e) {
+        if (!(e instanceof ExerciseError)) {
+          throw e;
+        }
+        selectExercise(null);
+        $('#exercise-description').text(e.message);
+      }
+    };
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Makes the Exercise the one checked by checkExercise() and shows what it
+ * asks for, but not its reference. Clears the exercise if it is null.
+ */
+function selectExercise(exercise) {
+  selectExercise.current = exercise;
+  checkExercise.grammarText = null;
+  $('#exercise-result').empty();
+  var descriptionDiv = $('#exercise-description');
+  descriptionDiv.empty();
+  $('#exercise-check').prop('disabled', !exercise);
+  if (!exercise) {
+    return;
+  }
+  $('<h4/>', {'text': exercise.title}).appendTo(descriptionDiv);
+  $('<p/>', {'text': exercise.description}).appendTo(descriptionDiv);
+  $('<p/>', {
+    'class': 'text-muted',
+    'text': 'Alphabet: { ' + exercise.alphabet.join(', ') + ' }. Strings ' +
+            'of length at most ' + exercise.maxLength + ' are checked.'
+  }).appendTo(descriptionDiv);
+};
+
+/** The Exercise chosen by the user, or null. */
+selectExercise.current = null;
+
+/**
+ * Checks the grammar against the chosen exercise and shows whether it
+ * passed, or the shortest strings that it gets wrong.
+ */
+function checkExercise() {
+  var exercise = selectExercise.current;
+  var resultDiv = $('#exercise-result');
+  resultDiv.empty();
+  if (!exercise) {
+    return;
+  }
+  var grammar = readGrammar();
+  checkExercise.grammarText = grammar.toText();
+  var result = exercise.check(grammar);
+  State.counter = 0;
+  if (result.passed) {
+    $('<p/>', {
+      'class': 'text-success',
+      'text': result.limitReached ?
+          'Passed on the first ' + result.checked + ' strings.' :
+          'Passed on all ' + result.checked + ' strings of length at most ' +
+          exercise.maxLength + '.'
+    }).appendTo(resultDiv);
+    return;
+  }
+  $('<p/>', {
+    'class': 'text-danger',
+    'text': 'Not yet. Your grammar gets these strings wrong:'
+  }).appendTo(resultDiv);
+  var list = $('<ul/>').appendTo(resultDiv);
+  for (var i = 0; i < result.counterexamples.length; i++) {
+    var counterexample = result.counterexamples[i];
+    var str = counterexample.string;
+    $('<li/>')
+      .append($('<strong/>', {'text': str === '' ? 'ε' : '"' + str + '"'}))
+      .append(document.createTextNode(counterexample.expected ?
+          ' should be generated but is not.' :
+          ' should not be generated but is.'))
+      .appendTo(list);
+  }
+};
+
+/** Text of the grammar checked by the last call to checkExercise(). */
+checkExercise.grammarText = null;
+
+/** Number of random strings drawn by sampleLanguage(). */
+sampleLanguage.COUNT = 10;
+
+/**
+ * Draws random strings of the language, either uniformly among the strings
+ * of the length chosen by the user or from random derivations of at most
+ * the chosen depth, with a button that adds them to the test strings.
+ */
+function sampleLanguage() {
+  var resultDiv = $('#language-result');
+  resultDiv.empty();
+  var size = parseInt($('#sample-size').val(), 10);
+  if (isNaN(size) || size < 0) {
+    resultDiv.text('Please enter a number of at least 0.');
+    return;
+  }
+  var grammar = readGrammar();
+  listLanguage.grammarText = grammar.toText();
+  var strings = [];
+  if ($('#sample-mode').val() === 'length') {
+    strings = grammar.sampleStrings(size, sampleLanguage.COUNT);
+    if (strings.length === 0) {
+      resultDiv.text('The grammar generates no string of length ' + size +
+                     '.');
+      return;
+    }
+  } else {
+    for (var i = 0; i < sampleLanguage.COUNT; i++) {
+      var tree = grammar.sampleDerivation(size);
+      if (!tree) {
+        resultDiv.text('The grammar has no derivation of depth at most ' +
+                       size + '.');
+        return;
+      }
+      strings.push(tree.getYield());
+    }
+  }
+  State.counter = 0;
+  showLanguageStrings('Random strings of the language:', strings);
+};
+
+/**
+ * Shows the summary and the strings in the language panel, with a button
+ * that adds the strings to the test strings.
+ */
+function showLanguageStrings(summary, strings) {
+  var resultDiv = $('#language-result');
+  $('<p/>', {'text': summary}).appendTo(resultDiv);
+  var list = $('<ul/>', {'class': 'language-strings'}).appendTo(resultDiv);
+  for (var i = 0; i < strings.length; i++) {
+    $('<li/>', {'text': strings[i] === '' ? 'ε' : '"' + strings[i] + '"'})
+      .appendTo(list);
+  }
+  $('<button/>', {
+    'type': 'button',
+    'class': 'btn btn-default btn-sm',
+    'text': 'Add to test strings'
+  }).click(function(event) { addTestStrings(strings); }).appendTo(resultDiv);
+};
+
+/**
+ * Appends the strings that are not yet test strings to the test strings
+ * textarea, one per line, and tests them. The grammar generates the strings,
+ * so a string that would be read with an expectation is marked as expected to
+ * match, and a string with a line break is left out.
+ */
+function addTestStrings(strings) {
+  var textarea = $('#test-input');
+  var text = textarea.val();
+  // An empty textarea has no test strings yet rather than the empty string.
+  var lines = text === '' ? [] : text.split(/\r?\n/);
+  var present = Object.create(null);
+  for (var i = 0; i < lines.length; i++) {
+    present[TestCase.parse(lines[i]).string] = true;
+  }
+  for (var i = 0; i < strings.length; i++) {
+    if (!present[strings[i]]) {
+      present[strings[i]] = true;
+      var line = new TestCase(strings[i], null).toLine();
+      if (line === null) {
+        line = new TestCase(strings[i], true).toLine();
+      }
+      if (line !== null) {
+        lines.push(line);
+      }
+    }
+  }
+  textarea.val(lines.join('\n'));
+  testCFG();
+};
+
 /**
  * Given the matchStates returned by the Earley Parser algorithm, parses the
  * relevant States and creates strings that look nice as HTML.
@@ -515,7 +1339,7 @@ function formatDerivation(matchStates) {
 
   // Debugging code logs the relevant States. Shows which will be used
   // to display the derivation.
-  if (GRAMMAR_DEBUG) {
+  if (Earley.DEBUG) {
     var arr = [];
     for (var i = 0; i < states.length; i++) {
        arr.push(states[i].toString());
@@ -532,15 +1356,15 @@ function formatDerivation(matchStates) {
   // From the Array of States, create an Array of:
   //    [nonterminalString, productionString]
   // objects that look nice in HTML.
-  var strings = [['<em>Start</em>', '<strong>S</strong>']];
   var symArray = states[0].symArray;
+  var strings = [['<em>Start</em>', symArrayHTML(symArray, symbolHTML.BOLD)]];
   for (var i = 1; i < states.length; i++) {
     var tempProduction = new Production(states[i].lhs, [states[i].symArray]);
     var arr = [];
-    arr.push(tempProduction.toString(true, Symbol.BOLD));
+    arr.push(productionHTML(tempProduction, symbolHTML.BOLD));
     // Calling replaceLastNonterminal() from earley.js
     symArray = replaceLastNonterminal(symArray, states[i].lhs, states[i].symArray);
-    arr.push(symArray.toString(true, Symbol.BOLD));
+    arr.push(symArrayHTML(symArray, symbolHTML.BOLD));
     strings.push(arr);
   }
   return strings;
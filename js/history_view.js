@@ -0,0 +1,169 @@
+/**
+ * Undo and redo of changes to the grammar web page's production rows and
+ * test strings, with Ctrl+Z and Ctrl+Shift+Z or the Undo and Redo buttons.
+ */
+
+
+/**
+ * Returns a snapshot of the production rows exactly as they are laid out:
+ * its rows property is the Array from readGrammarRows(), and its tests
+ * property is the text of the test strings.
+ */
+function getHistorySnapshot() {
+  return {rows: readGrammarRows(), tests: $('#test-input').val()};
+};
+
+/**
+ * Returns true if two snapshots from getHistorySnapshot() have the same
+ * number of rows and rule fields in each row.
+ */
+function isSameLayout(snapshot, other) {
+  if (snapshot.rows.length !== other.rows.length) {
+    return false;
+  }
+  for (var i = 0; i < snapshot.rows.length; i++) {
+    if (snapshot.rows[i].length !== other.rows[i].length) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/** Returns true if two snapshots from getHistorySnapshot() are equal. */
+function isSameSnapshot(snapshot, other) {
+  return snapshot.tests === other.tests &&
+         JSON.stringify(snapshot.rows) === JSON.stringify(other.rows);
+};
+
+/**
+ * Forgets all recorded changes, so that the page as it is now is the
+ * earliest state that can be returned to.
+ */
+function resetHistory() {
+  recordHistory.current = getHistorySnapshot();
+  recordHistory.undo = [];
+  recordHistory.redo = [];
+  recordHistory.field = null;
+  showHistoryButtons();
+};
+
+/**
+ * Records the change since the last call, if there is one. Called every
+ * time the CFG is tested, which follows every change to the page.
+ *
+ * recordHistory.current is the snapshot of the page after the last change,
+ * and recordHistory.undo and recordHistory.redo are stacks of the snapshots
+ * before and after it. recordHistory.field is the text field that the last
+ * change was typed into, if it did not add or remove any fields, so that
+ * typing into one field is undone all at once.
+ */
+function recordHistory() {
+  var snapshot = getHistorySnapshot();
+  if (recordHistory.current === null) {
+    recordHistory.current = snapshot;
+    return;
+  }
+  if (isSameSnapshot(snapshot, recordHistory.current)) {
+    return;
+  }
+  var field = null;
+  var active = document.activeElement;
+  if (isSameLayout(snapshot, recordHistory.current) &&
+      $(active).is('input[type="text"], textarea')) {
+    field = active;
+  }
+  if (field === null || field !== recordHistory.field) {
+    recordHistory.undo.push(recordHistory.current);
+    if (recordHistory.undo.length > recordHistory.LIMIT) {
+      recordHistory.undo.shift();
+    }
+  }
+  recordHistory.current = snapshot;
+  recordHistory.redo = [];
+  recordHistory.field = field;
+  showHistoryButtons();
+};
+
+recordHistory.current = null;
+recordHistory.undo = [];
+recordHistory.redo = [];
+recordHistory.field = null;
+/** Maximum number of changes that can be undone. */
+recordHistory.LIMIT = 100;
+
+/** Handler to undo the last change. */
+function undoEdit() {
+  // Record a change that has not been tested yet.
+  recordHistory();
+  if (recordHistory.undo.length === 0) {
+    return;
+  }
+  recordHistory.redo.push(recordHistory.current);
+  restoreHistorySnapshot(recordHistory.undo.pop());
+};
+
+/** Handler to redo the last change undone. */
+function redoEdit() {
+  recordHistory();
+  if (recordHistory.redo.length === 0) {
+    return;
+  }
+  recordHistory.undo.push(recordHistory.current);
+  restoreHistorySnapshot(recordHistory.redo.pop());
+};
+
+/**
+ * Replaces the production rows and test strings with those of a snapshot
+ * from getHistorySnapshot(), and tests them.
+ */
+function restoreHistorySnapshot(snapshot) {
+  recordHistory.current = snapshot;
+  recordHistory.field = null;
+  fillGrammarRows(snapshot.rows);
+  syncGrammarText();
+  $('#test-input').val(snapshot.tests);
+  showHistoryButtons();
+  startTest();
+};
+
+/** Enables the Undo and Redo buttons if there is a change to undo or redo. */
+function showHistoryButtons() {
+  $('#undo').prop('disabled', recordHistory.undo.length === 0);
+  $('#redo').prop('disabled', recordHistory.redo.length === 0);
+};
+
+/**
+ * Key listener for the whole page. Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y
+ * redoes, or Cmd instead of Ctrl on a Mac, except in text fields outside the
+ * CFG and test strings, which keep their own undo.
+ */
+function handleHistoryKey(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+    return;
+  }
+  var target = $(event.target);
+  if (target.is('input, textarea, select') &&
+      !target.is('#grammar input, #grammar-text, #test-input')) {
+    return;
+  }
+  if (event.which === 90 && !event.shiftKey) {
+    // Ctrl+Z = Undo.
+    event.preventDefault();
+    undoEdit();
+  } else if (event.which === 90 || event.which === 89) {
+    // Ctrl+Shift+Z or Ctrl+Y = Redo.
+    event.preventDefault();
+    redoEdit();
+  }
+};
+
+/**
+ * Binds the handlers of the undo history. Call this once the page holds the
+ * CFG to start from.
+ */
+function initializeHistory() {
+  $('#undo').click(function(event) { undoEdit(); });
+  $('#redo').click(function(event) { redoEdit(); });
+  $(document).keydown(handleHistoryKey);
+  resetHistory();
+};
@@ -0,0 +1,118 @@
+/**
+ * HTML rendering of the grammar model for the grammar web page. The model
+ * itself only produces plain text, so that it can be used without a DOM.
+ */
+
+
+/**
+ * Escapes str in HTML.
+ */
+function escapeHTML(str) {
+  var div = document.createElement('div');
+  div.appendChild(document.createTextNode(str));
+  return div.innerHTML;
+};
+
+/**
+ * Returns the HTML of a Symbol. A nonterminal is highlighted according to
+ * the options, which are one of the static enumeration variables below.
+ */
+function symbolHTML(symbol, options) {
+  if (symbol.isTerminal) {
+    // Return just the character.
+    return escapeHTML(symbol.ch);
+  }
+  // Highlight the nonterminal character based on the options.
+  var left = '';
+  var right = '';
+  switch (options) {
+    case symbolHTML.BOLD_UNDERLINE: {
+      left += '<u>';
+      right = '</u>' + right;
+    }
+    case symbolHTML.BOLD: {
+      left += '<strong>';
+      right = '</strong>' + right;
+      break;
+    }
+    case symbolHTML.PARENTHESES:
+    default: {
+      left += '(';
+      right = ')' + right;
+      break;
+    }
+  }
+  return left + escapeHTML(symbol.getName()) + right;
+};
+
+/** Static enumeration variables as options to pass into symbolHTML(). */
+symbolHTML.PARENTHESES = 0;
+symbolHTML.BOLD = 1;
+symbolHTML.BOLD_UNDERLINE = 2;
+symbolHTML.BOLD_UNDERLINE_LAST = 11;
+
+/**
+ * Returns the HTML of a SymArray. Handles the symbolHTML.BOLD_UNDERLINE_LAST
+ * case by determining the appropriate options to pass into symbolHTML().
+ */
+function symArrayHTML(symArray, options) {
+  if (symArray.symbols.length === 0) {
+    // Return epsilon Unicode character for an empty Array.
+    return '\u03B5';
+  }
+  var str = '';
+  var args;
+  var underline = false;
+  for (var i = symArray.symbols.length - 1; i >= 0; i--) {
+    switch (options) {
+      case symbolHTML.BOLD_UNDERLINE_LAST: {
+        // For the first nonterminal we encounter, also include the underline
+        // option, and then mark that we have seen a nonterminal.
+        if (!symArray.symbols[i].isTerminal && !underline) {
+          args = symbolHTML.BOLD_UNDERLINE;
+          underline = true;
+        } else {
+          args = symbolHTML.BOLD;
+        }
+        break;
+      }
+      default: {
+        // For all other options, pass them on to symbolHTML().
+        args = options;
+      }
+    }
+    // Append the current Symbol to the beginning of the string.
+    str = symbolHTML(symArray.symbols[i], args) + str;
+  }
+  return str;
+};
+
+/**
+ * lhs -> rhs[0] | rhs[1] | ... in HTML.
+ */
+function productionHTML(production, options) {
+  var str = symbolHTML(production.lhs, options);
+  // Use the Unicode character for a right arrow.
+  str += ' &#8594; ';
+  for (var i = 0; i < production.rhs.length; i++) {
+    str += symArrayHTML(production.rhs[i], options);
+    if (i !== production.rhs.length - 1) {
+      str += ' | ';
+    }
+  }
+  return str;
+};
+
+/**
+ * Returns the HTML of a Grammar. The first line identifies the start symbol
+ * and the following lines are the Production rows.
+ */
+function grammarHTML(grammar, options) {
+  var s = 'Start symbol: ';
+  s += symbolHTML(grammar.startSymbol, options) + '<br>';
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    var symbol = grammar.nonterminals[i];
+    s += productionHTML(grammar.productions[symbol], options) + '<br>';
+  }
+  return s;
+};
@@ -0,0 +1,340 @@
+/**
+ * Generation of the strings in the language of a context-free grammar (CFG),
+ * either in order or at random. Most of the work is done on the Chomsky
+ * Normal Form of the grammar, in which every rule other than an epsilon rule
+ * of the start symbol makes its string longer.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var Grammar = require('./grammar.js').Grammar;
+  var Earley = require('./earley.js').Earley;
+  var ParseNode = require('./parse_tree.js').ParseNode;
+  require('./cnf.js');
+  require('./forest.js');
+}
+
+
+/** Default maximum number of strings listed by getLanguage(). */
+Grammar.LANGUAGE_LIMIT = 1000;
+
+/**
+ * Lists the strings derived from the start symbol, in order of length up to
+ * maxLength characters and then in lexicographic order, without duplicates.
+ * Returns an object whose strings property is the Array of the first
+ * maxCount strings, which defaults to Grammar.LANGUAGE_LIMIT, and whose
+ * limitReached property is true if there were more.
+ */
+Grammar.prototype.getLanguage = function(maxLength, opt_maxCount) {
+  var maxCount = opt_maxCount === undefined ?
+                 Grammar.LANGUAGE_LIMIT : opt_maxCount;
+  var cnf = this.toCNF();
+  // Keep one extra string to tell whether the list was cut off.
+  var tables = getLanguageTables(cnf, maxLength, maxCount + 1);
+  var byLength = tables[cnf.startSymbol.ch] || [];
+  var strings = [];
+  for (var length = 0; length < byLength.length; length++) {
+    strings = strings.concat(byLength[length]);
+  }
+  return {
+    strings: strings.slice(0, maxCount),
+    limitReached: strings.length > maxCount
+  };
+};
+
+/**
+ * Given a Grammar in Chomsky Normal Form, returns an object that maps each
+ * nonterminal to an Array whose entry at each length up to maxLength is the
+ * sorted Array of the first maxCount strings of that length that the
+ * nonterminal derives. Since the first strings of a concatenation only use
+ * the first strings of its parts, the lists stay exact despite the cut.
+ */
+function getLanguageTables(cnf, maxLength, maxCount) {
+  var tables = Object.create(null);
+  for (var i = 0; i < cnf.nonterminals.length; i++) {
+    tables[cnf.nonterminals[i]] = [];
+  }
+  for (var length = 0; length <= maxLength; length++) {
+    for (var i = 0; i < cnf.nonterminals.length; i++) {
+      var nonterminal = cnf.nonterminals[i];
+      var rhs = cnf.productions[nonterminal].rhs;
+      var strings = [];
+      for (var j = 0; j < rhs.length; j++) {
+        var symbols = rhs[j].symbols;
+        if (symbols.length === 0) {
+          if (length === 0) {
+            strings.push('');
+          }
+        } else if (symbols.length === 1) {
+          if (symbols[0].ch.length === length) {
+            strings.push(symbols[0].ch);
+          }
+        } else {
+          // Neither nonterminal derives the empty string.
+          var left = tables[symbols[0].ch];
+          var right = tables[symbols[1].ch];
+          for (var split = 1; split < length; split++) {
+            concatLanguages(left[split], right[length - split], maxCount,
+                            strings);
+          }
+        }
+      }
+      tables[nonterminal].push(sortUniqueStrings(strings, maxCount));
+    }
+  }
+  return tables;
+};
+
+/**
+ * Pushes onto result the first maxCount concatenations of a string from the
+ * sorted Array first with one from the sorted Array second. The strings of
+ * each Array all have the same length, so the concatenations are produced in
+ * sorted order.
+ */
+function concatLanguages(first, second, maxCount, result) {
+  var count = 0;
+  for (var i = 0; i < first.length && count < maxCount; i++) {
+    for (var j = 0; j < second.length && count < maxCount; j++) {
+      result.push(first[i] + second[j]);
+      count++;
+    }
+  }
+};
+
+/**
+ * Returns the first maxCount strings of the Array in sorted order, without
+ * duplicates.
+ */
+function sortUniqueStrings(strings, maxCount) {
+  strings.sort();
+  var unique = [];
+  for (var i = 0; i < strings.length && unique.length < maxCount; i++) {
+    if (i === 0 || strings[i] !== strings[i - 1]) {
+      unique.push(strings[i]);
+    }
+  }
+  return unique;
+};
+
+/**
+ * Number of times sampleStrings() draws a string before it gives up on
+ * correcting for the ambiguity of the grammar.
+ */
+Grammar.SAMPLE_ATTEMPTS = 100;
+
+/**
+ * Returns an Array of count strings of the language that have exactly the
+ * given length, each picked uniformly at random among all such strings. The
+ * Array is empty if there is no string of that length. The optional random
+ * function returns numbers in [0, 1) like Math.random(), which is the
+ * default.
+ *
+ * Parse trees of the Chomsky Normal Form are counted by length, so that a
+ * tree can be drawn uniformly. A string with k trees is drawn k times as
+ * often as an unambiguous one, so it is kept with probability 1/k, and the
+ * string drawn last is kept after Grammar.SAMPLE_ATTEMPTS tries.
+ */
+Grammar.prototype.sampleStrings = function(length, count, opt_random) {
+  var random = opt_random || Math.random;
+  var cnf = this.toCNF();
+  var counts = getTreeCounts(cnf, length);
+  var start = cnf.startSymbol.ch;
+  var strings = [];
+  if (!counts[start] || counts[start][length] === BigInt(0)) {
+    return strings;
+  }
+  var earley = new Earley(cnf);
+  while (strings.length < count) {
+    var str = null;
+    for (var attempt = 0; attempt < Grammar.SAMPLE_ATTEMPTS; attempt++) {
+      str = sampleCNFString(cnf, counts, start, length, random);
+      var trees = earley.getParseForest(str).countTrees();
+      if (getRandomBigInt(trees, random) === BigInt(0)) {
+        break;
+      }
+    }
+    strings.push(str);
+  }
+  return strings;
+};
+
+/**
+ * Builds a parse tree by starting from the start symbol and picking each
+ * rule uniformly at random among those that still lead to a tree of at most
+ * maxDepth levels of nonterminals. Returns the root ParseNode, or null if
+ * no tree is that shallow. The optional random function is used like in
+ * sampleStrings().
+ */
+Grammar.prototype.sampleDerivation = function(maxDepth, opt_random) {
+  var random = opt_random || Math.random;
+  var heights = getMinimumHeights(this);
+  if (!(heights[this.startSymbol.ch] <= maxDepth)) {
+    return null;
+  }
+  return sampleParseNode(this, this.startSymbol, maxDepth, heights, random);
+};
+
+/**
+ * Given a Grammar in Chomsky Normal Form, returns an object that maps each
+ * nonterminal to an Array whose entry at each length up to maxLength is the
+ * BigInt number of parse trees of strings of that length.
+ */
+function getTreeCounts(cnf, maxLength) {
+  var counts = Object.create(null);
+  for (var i = 0; i < cnf.nonterminals.length; i++) {
+    counts[cnf.nonterminals[i]] = [];
+  }
+  for (var length = 0; length <= maxLength; length++) {
+    for (var i = 0; i < cnf.nonterminals.length; i++) {
+      var nonterminal = cnf.nonterminals[i];
+      var rhs = cnf.productions[nonterminal].rhs;
+      var total = BigInt(0);
+      for (var j = 0; j < rhs.length; j++) {
+        for (var split = 0; split <= length; split++) {
+          total += getRuleTreeCount(rhs[j], counts, length, split);
+        }
+      }
+      counts[nonterminal].push(total);
+    }
+  }
+  return counts;
+};
+
+/**
+ * Returns the BigInt number of parse trees of length characters that start
+ * with the rule of a Grammar in Chomsky Normal Form. For a rule with two
+ * nonterminals, the first one derives the first split characters. Other
+ * rules only count for a split of 0.
+ */
+function getRuleTreeCount(symArray, counts, length, split) {
+  var symbols = symArray.symbols;
+  if (symbols.length === 2) {
+    if (split === 0 || split === length) {
+      return BigInt(0);
+    }
+    return counts[symbols[0].ch][split] *
+           counts[symbols[1].ch][length - split];
+  }
+  if (split !== 0) {
+    return BigInt(0);
+  }
+  var ruleLength = symbols.length === 0 ? 0 : symbols[0].ch.length;
+  return BigInt(ruleLength === length ? 1 : 0);
+};
+
+/**
+ * Draws a parse tree of the nonterminal with length characters uniformly at
+ * random, given the counts from getTreeCounts(), and returns its string.
+ */
+function sampleCNFString(cnf, counts, nonterminal, length, random) {
+  var index = getRandomBigInt(counts[nonterminal][length], random);
+  var rhs = cnf.productions[nonterminal].rhs;
+  for (var i = 0; i < rhs.length; i++) {
+    for (var split = 0; split <= length; split++) {
+      var count = getRuleTreeCount(rhs[i], counts, length, split);
+      if (index >= count) {
+        index -= count;
+        continue;
+      }
+      var symbols = rhs[i].symbols;
+      if (symbols.length !== 2) {
+        return symbols.length === 0 ? '' : symbols[0].ch;
+      }
+      return sampleCNFString(cnf, counts, symbols[0].ch, split, random) +
+             sampleCNFString(cnf, counts, symbols[1].ch, length - split,
+                             random);
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns a BigInt picked uniformly at random from 0 up to but excluding
+ * the positive BigInt limit.
+ */
+function getRandomBigInt(limit, random) {
+  var bits = limit.toString(2).length;
+  while (true) {
+    var value = BigInt(0);
+    // Math.random() gives at least 30 random bits at a time.
+    for (var i = 0; i < bits; i += 30) {
+      var size = Math.pow(2, Math.min(30, bits - i));
+      value = value * BigInt(size) + BigInt(Math.floor(random() * size));
+    }
+    if (value < limit) {
+      return value;
+    }
+  }
+};
+
+/**
+ * Returns an object that maps each nonterminal to the fewest levels of
+ * nonterminals in a parse tree rooted at it, or Infinity if it derives no
+ * string.
+ */
+function getMinimumHeights(grammar) {
+  var heights = Object.create(null);
+  for (var i = 0; i < grammar.nonterminals.length; i++) {
+    heights[grammar.nonterminals[i]] = Infinity;
+  }
+  var changed = true;
+  while (changed) {
+    changed = false;
+    for (var i = 0; i < grammar.nonterminals.length; i++) {
+      var nonterminal = grammar.nonterminals[i];
+      var rhs = grammar.productions[nonterminal].rhs;
+      for (var j = 0; j < rhs.length; j++) {
+        var height = getRuleHeight(rhs[j], heights);
+        if (height < heights[nonterminal]) {
+          heights[nonterminal] = height;
+          changed = true;
+        }
+      }
+    }
+  }
+  return heights;
+};
+
+/**
+ * Returns the fewest levels of nonterminals in a parse tree whose root uses
+ * the rule, given the heights of the nonterminals so far.
+ */
+function getRuleHeight(symArray, heights) {
+  var height = 1;
+  for (var i = 0; i < symArray.symbols.length; i++) {
+    var symbol = symArray.symbols[i];
+    if (!symbol.isTerminal) {
+      // A nonterminal written in angle brackets may have no Production.
+      var childHeight = symbol.ch in heights ? heights[symbol.ch] : Infinity;
+      height = Math.max(height, childHeight + 1);
+    }
+  }
+  return height;
+};
+
+/**
+ * Builds a random parse tree rooted at the Symbol with at most maxDepth
+ * levels of nonterminals, given the heights from getMinimumHeights().
+ */
+function sampleParseNode(grammar, symbol, maxDepth, heights, random) {
+  if (symbol.isTerminal) {
+    return new ParseNode(symbol);
+  }
+  var choices = [];
+  var rhs = grammar.productions[symbol.ch].rhs;
+  for (var i = 0; i < rhs.length; i++) {
+    if (getRuleHeight(rhs[i], heights) <= maxDepth) {
+      choices.push(rhs[i]);
+    }
+  }
+  var symbols = choices[Math.floor(random() * choices.length)].symbols;
+  var children = [];
+  for (var i = 0; i < symbols.length; i++) {
+    children.push(sampleParseNode(grammar, symbols[i], maxDepth - 1,
+                                  heights, random));
+  }
+  if (children.length === 0) {
+    children.push(new ParseNode(null));
+  }
+  return new ParseNode(symbol, children);
+};
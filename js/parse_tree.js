@@ -0,0 +1,178 @@
+/**
+ * Model representing the parse tree of a string matched by a CFG.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var SymArray = require('./grammar.js').SymArray;
+  var Earley = require('./earley.js').Earley;
+}
+
+
+/**
+ * A ParseNode is one node of a parse tree. The symbol property is the Symbol
+ * at the node, or null for a leaf representing epsilon. A nonterminal node
+ * has an Array of child ParseNodes, while a terminal or epsilon leaf has an
+ * empty children Array.
+ */
+function ParseNode(symbol, children) {
+  this.symbol = symbol;
+  this.children = children ? children : [];
+};
+
+/** Returns true if this node represents epsilon. */
+ParseNode.prototype.isEpsilon = function() {
+  return this.symbol === null;
+};
+
+/** Returns true if this node has no children. */
+ParseNode.prototype.isLeaf = function() {
+  return this.children.length === 0;
+};
+
+/**
+ * Returns the string of terminals at the leaves of this tree, from left to
+ * right.
+ */
+ParseNode.prototype.getYield = function() {
+  if (this.isEpsilon()) {
+    return '';
+  }
+  if (this.symbol.isTerminal) {
+    return this.symbol.ch;
+  }
+  var str = '';
+  for (var i = 0; i < this.children.length; i++) {
+    str += this.children[i].getYield();
+  }
+  return str;
+};
+
+/**
+ * Two ParseNode instances are equal if their Symbols are equal and their
+ * children are equal in order.
+ */
+ParseNode.prototype.equals = function(other) {
+  if (this.isEpsilon() || other.isEpsilon()) {
+    return this.isEpsilon() && other.isEpsilon();
+  }
+  if (!this.symbol.equals(other.symbol) ||
+      this.children.length !== other.children.length) {
+    return false;
+  }
+  for (var i = 0; i < this.children.length; i++) {
+    if (!this.children[i].equals(other.children[i])) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Returns the tree in bracketed form, e.g. S(a S(ε) b).
+ */
+ParseNode.prototype.toString = function() {
+  if (this.isEpsilon()) {
+    return 'ε';
+  }
+  var str = this.symbol.getName();
+  if (!this.symbol.isTerminal) {
+    var children = [];
+    for (var i = 0; i < this.children.length; i++) {
+      children.push(this.children[i].toString());
+    }
+    str += '(' + children.join(' ') + ')';
+  }
+  return str;
+};
+
+/**
+ * Returns the leftmost derivation of this tree as an Array of SymArrays: the
+ * sentential forms from the Symbol at the root to the yield, where each form
+ * replaces the leftmost nonterminal of the one before it with its children.
+ */
+ParseNode.prototype.getLeftmostDerivation = function() {
+  var derivation = [];
+  // The current sentential form as an Array of ParseNodes.
+  var form = [this];
+  while (true) {
+    var symbols = [];
+    var next = -1;
+    for (var i = 0; i < form.length; i++) {
+      if (form[i].isEpsilon()) {
+        continue;
+      }
+      symbols.push(form[i].symbol);
+      if (next === -1 && !form[i].symbol.isTerminal) {
+        next = i;
+      }
+    }
+    derivation.push(new SymArray(symbols));
+    if (next === -1) {
+      return derivation;
+    }
+    form = form.slice(0, next).concat(form[next].children,
+                                      form.slice(next + 1));
+  }
+};
+
+/**
+ * Builds the parse tree from the States returned by a doesMatch() call.
+ * Like formatDerivation(), the first completed State derives the start
+ * symbol and each completed State after it replaces the last occurrence of
+ * its nonterminal in the sentential form. Returns the root ParseNode, or
+ * null if there are no States.
+ */
+ParseNode.fromDerivation = function(matchStates) {
+  var root = null;
+  // The current sentential form as an Array of leaf ParseNodes.
+  var form = [];
+  for (var i = 0; i < matchStates.length; i++) {
+    var state = matchStates[i];
+    if (!state.isComplete()) {
+      continue;
+    }
+    if (root === null) {
+      root = new ParseNode(state.symArray.symbols[0]);
+      form = [root];
+      continue;
+    }
+    for (var j = form.length - 1; j >= 0; j--) {
+      var node = form[j];
+      if (!node.symbol.isTerminal && node.symbol.equals(state.lhs)) {
+        var symbols = state.symArray.symbols;
+        for (var k = 0; k < symbols.length; k++) {
+          node.children.push(new ParseNode(symbols[k]));
+        }
+        if (symbols.length === 0) {
+          node.children.push(new ParseNode(null));
+          form.splice(j, 1);
+        } else {
+          form.splice.apply(form, [j, 1].concat(node.children));
+        }
+        break;
+      }
+    }
+  }
+  return root;
+};
+
+/**
+ * Uses the Earley Parser algorithm to find a parse tree for the input string.
+ * Returns the root ParseNode, or null if the string does not match or no
+ * derivation could be found.
+ */
+Earley.prototype.getParseTree = function(input) {
+  var match = this.doesMatch(input);
+  if (!match || match.length === 0) {
+    return null;
+  }
+  return ParseNode.fromDerivation(match);
+};
+
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    ParseNode: ParseNode
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Draws parse trees as SVG images for the grammar web page.
+ */
+
+
+/** Namespace of SVG elements. */
+renderParseTree.SVG_NS = 'http://www.w3.org/2000/svg';
+/** Vertical distance between the levels of the tree. */
+renderParseTree.LEVEL_HEIGHT = 50;
+/** Horizontal space taken by each character of a leaf label. */
+renderParseTree.CHAR_WIDTH = 10;
+/** Minimum horizontal space taken by each leaf. */
+renderParseTree.MIN_LEAF_WIDTH = 30;
+/** Space around the drawing. */
+renderParseTree.MARGIN = 15;
+
+/**
+ * Returns an SVG element that draws the tree rooted at the ParseNode. Leaves
+ * are spread out from left to right in order, and each nonterminal is
+ * centered above its first and last children.
+ */
+function renderParseTree(root) {
+  var positions = [];
+  var width = layoutParseNode(root, 0, 0, positions);
+  var depth = 0;
+  for (var i = 0; i < positions.length; i++) {
+    depth = Math.max(depth, positions[i].depth);
+  }
+
+  var margin = renderParseTree.MARGIN;
+  var svg = createSVGElement('svg', {
+    'class': 'parse-tree',
+    'width': width + 2 * margin,
+    'height': depth * renderParseTree.LEVEL_HEIGHT + 2 * margin
+  });
+  // Draw the edges first so that the labels are drawn on top of them.
+  for (var i = 0; i < positions.length; i++) {
+    var parent = positions[i].parent;
+    if (parent) {
+      svg.appendChild(createSVGElement('line', {
+        'x1': parent.x + margin,
+        'y1': getParseNodeY(parent) + margin + 5,
+        'x2': positions[i].x + margin,
+        'y2': getParseNodeY(positions[i]) + margin - 12
+      }));
+    }
+  }
+  for (var i = 0; i < positions.length; i++) {
+    var node = positions[i].node;
+    var className = node.isEpsilon() ? 'epsilon' :
+                    node.symbol.isTerminal ? 'terminal' : 'nonterminal';
+    var text = createSVGElement('text', {
+      'class': className,
+      'x': positions[i].x + margin,
+      'y': getParseNodeY(positions[i]) + margin
+    });
+    text.appendChild(document.createTextNode(getParseNodeLabel(node)));
+    svg.appendChild(text);
+  }
+  return svg;
+};
+
+/**
+ * Computes the position of each node in the subtree rooted at node, whose
+ * leaves start at the horizontal offset left. Pushes one {node, x, depth,
+ * parent} object per node onto positions, where parent is the object of the
+ * parent node. Returns the width of the subtree.
+ */
+function layoutParseNode(node, left, depth, positions, opt_parent) {
+  var position = {node: node, depth: depth, parent: opt_parent};
+  positions.push(position);
+  var labelWidth = Math.max(renderParseTree.MIN_LEAF_WIDTH,
+      getParseNodeLabel(node).length * renderParseTree.CHAR_WIDTH + 10);
+  if (node.isLeaf()) {
+    position.x = left + labelWidth / 2;
+    return labelWidth;
+  }
+  var width = 0;
+  var childPositions = [];
+  for (var i = 0; i < node.children.length; i++) {
+    childPositions.push(positions.length);
+    width += layoutParseNode(node.children[i], left + width, depth + 1,
+                             positions, position);
+  }
+  var first = positions[childPositions[0]];
+  var last = positions[childPositions[childPositions.length - 1]];
+  position.x = (first.x + last.x) / 2;
+  return Math.max(width, labelWidth);
+};
+
+/** Returns the vertical position of a node's label. */
+function getParseNodeY(position) {
+  return position.depth * renderParseTree.LEVEL_HEIGHT + 12;
+};
+
+/** Returns the text shown for a node. */
+function getParseNodeLabel(node) {
+  return node.isEpsilon() ? 'ε' : node.symbol.getName();
+};
+
+/** Creates an SVG element with the given attributes. */
+function createSVGElement(tag, attributes) {
+  var element = document.createElementNS(renderParseTree.SVG_NS, tag);
+  for (var name in attributes) {
+    element.setAttribute(name, attributes[name]);
+  }
+  return element;
+};
@@ -0,0 +1,63 @@
+/**
+ * Permalinks that carry the grammar and test strings of the grammar web page
+ * in the URL fragment, so that they can be shared without a server.
+ */
+
+
+/** Start of a URL fragment made by getShareLink(). */
+getShareLink.PREFIX = '#cfg=';
+
+/**
+ * Returns a link to the page whose fragment holds the current snapshot from
+ * getEditorSnapshot(), compressed with LZString. The snapshot includes the
+ * version of its format.
+ */
+function getShareLink() {
+  var data = LZString.compressToEncodedURIComponent(
+      JSON.stringify(getEditorSnapshot()));
+  var href = window.location.href;
+  var hashIndex = href.indexOf('#');
+  if (hashIndex !== -1) {
+    href = href.substring(0, hashIndex);
+  }
+  return href + getShareLink.PREFIX + data;
+};
+
+/**
+ * Handler to show the link to the current grammar and test strings so that
+ * the user can copy it.
+ */
+function shareGrammar() {
+  var link = getShareLink();
+  window.prompt('Copy this link to share the CFG and test strings:', link);
+};
+
+/**
+ * Restores the grammar and test strings from the fragment of the page's URL,
+ * if it was made by getShareLink(), and then removes the fragment so that
+ * reloading the page keeps later changes. Returns true if they were
+ * restored.
+ */
+function restoreSharedGrammar() {
+  var hash = window.location.hash;
+  if (hash.indexOf(getShareLink.PREFIX) !== 0) {
+    return false;
+  }
+  var snapshot = null;
+  try {
+    snapshot = JSON.parse(LZString.decompressFromEncodedURIComponent(
+        hash.substring(getShareLink.PREFIX.length)));
+  } catch (e) {
+    // Fall through, since the link is broken.
+  }
+  if (window.history && window.history.replaceState) {
+    window.history.replaceState(null, '', window.location.pathname +
+                                window.location.search);
+  }
+  if (!restoreEditorSnapshot(snapshot)) {
+    window.alert('The CFG in this link could not be read. The link may be ' +
+                 'incomplete or made by a newer version of this page.');
+    return false;
+  }
+  return true;
+};
@@ -0,0 +1,221 @@
+/**
+ * Keeps the grammar and test strings of the grammar web page in the browser's
+ * localStorage, so that they survive a reload, and manages named copies of
+ * them that the user can switch between.
+ */
+
+
+/**
+ * Returns the browser's localStorage, or null if it is not available, e.g.
+ * because the browser blocks it for pages opened from a file.
+ */
+function getLocalStorage() {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Returns a snapshot of the page as the user typed it: an object whose rows
+ * property holds the production rows in the format of readGrammarRows(),
+ * whose text property is the text of the text editor if it is shown, or
+ * else null, and whose tests property is the text of the test strings. Text
+ * with an error is kept as is, so that restoring it shows the error again.
+ */
+function getEditorSnapshot() {
+  return {
+    version: getEditorSnapshot.VERSION,
+    rows: readGrammarRows(),
+    text: isTextMode() ? $('#grammar-text').val() : null,
+    tests: $('#test-input').val()
+  };
+};
+
+/** Version of the format of getEditorSnapshot(). */
+getEditorSnapshot.VERSION = 1;
+
+/**
+ * Replaces the production rows and test strings with those of a snapshot
+ * from getEditorSnapshot(), and tests them. If the snapshot holds text that
+ * cannot be read as a CFG, the text editor shows it along with its error.
+ * Returns false without changing anything if the snapshot is not in a known
+ * format.
+ */
+function restoreEditorSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot.tests !== 'string') {
+    return false;
+  }
+  var rows = snapshot.rows;
+  var text = snapshot.text;
+  if (snapshot.version !== getEditorSnapshot.VERSION ||
+      !isGrammarRows(rows) || (text !== null && typeof text !== 'string')) {
+    return false;
+  }
+  fillGrammarRows(rows);
+  if (text === null) {
+    setTextMode(false);
+  } else {
+    $('#grammar-text').val(text);
+    setTextMode(true);
+    var grammar = readGrammarText();
+    if (grammar) {
+      fillGrammar(grammar);
+    }
+  }
+  $('#test-input').val(snapshot.tests);
+  startTest();
+  return true;
+};
+
+/**
+ * Reads a JSON value from localStorage. Returns null if there is none or it
+ * cannot be read.
+ */
+function readStoredJSON(key) {
+  var storage = getLocalStorage();
+  if (!storage) {
+    return null;
+  }
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Writes a value to localStorage as JSON. Returns false if it could not be
+ * stored, e.g. because the storage is full.
+ */
+function writeStoredJSON(key, value) {
+  var storage = getLocalStorage();
+  if (!storage) {
+    return false;
+  }
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/** Saves the current grammar and test strings. Called after every change. */
+function autosave() {
+  writeStoredJSON(autosave.KEY, getEditorSnapshot());
+};
+
+/** Key of the automatically saved snapshot in localStorage. */
+autosave.KEY = 'cfg-developer.autosave';
+
+/**
+ * Restores the grammar and test strings saved by autosave(). Returns true if
+ * there was a snapshot to restore. Tells the user if there was one that
+ * could not be read.
+ */
+function restoreAutosave() {
+  var snapshot = readStoredJSON(autosave.KEY);
+  if (snapshot === null) {
+    return false;
+  }
+  if (!restoreEditorSnapshot(snapshot)) {
+    window.alert('The CFG saved in this browser could not be read. It may ' +
+                 'have been saved by a newer version of this page.');
+    return false;
+  }
+  return true;
+};
+
+
+/**
+ * Returns an object that maps the names of the saved grammars to their
+ * snapshots.
+ */
+function getSavedGrammars() {
+  var saved = readStoredJSON(getSavedGrammars.KEY);
+  var result = Object.create(null);
+  if (saved && typeof saved === 'object') {
+    for (var name in saved) {
+      result[name] = saved[name];
+    }
+  }
+  return result;
+};
+
+/** Key of the saved grammars in localStorage. */
+getSavedGrammars.KEY = 'cfg-developer.saved';
+
+/**
+ * Fills the saved grammar selector with the names of the saved grammars in
+ * alphabetical order, selecting the given name if there is one.
+ */
+function showSavedGrammars(opt_selected) {
+  var select = $('#saved-grammars');
+  select.empty();
+  var names = Object.keys(getSavedGrammars()).sort();
+  $('<option/>', {'value': '', 'text': 'Saved grammars'}).appendTo(select);
+  for (var i = 0; i < names.length; i++) {
+    $('<option/>', {'value': names[i], 'text': names[i]}).appendTo(select);
+  }
+  select.val(opt_selected && names.indexOf(opt_selected) !== -1 ?
+             opt_selected : '');
+};
+
+/**
+ * Handler to save the current grammar and test strings under the name typed
+ * by the user.
+ */
+function saveNamedGrammar() {
+  var name = $.trim($('#save-name').val());
+  if (name === '') {
+    window.alert('Please enter a name for the grammar.');
+    return;
+  }
+  var saved = getSavedGrammars();
+  if (saved[name] && !window.confirm('Overwrite the saved grammar "' + name +
+                                     '"?')) {
+    return;
+  }
+  saved[name] = getEditorSnapshot();
+  if (!writeStoredJSON(getSavedGrammars.KEY, saved)) {
+    window.alert('The grammar could not be saved in this browser.');
+    return;
+  }
+  showSavedGrammars(name);
+};
+
+/**
+ * Handler to replace the current grammar and test strings with the saved
+ * grammar chosen by the user.
+ */
+function openNamedGrammar() {
+  var name = $('#saved-grammars').val();
+  var snapshot = getSavedGrammars()[name];
+  if (!name || !snapshot) {
+    return;
+  }
+  var msg = 'Opening "' + name + '" will overwrite the current CFG *and* ' +
+            'test strings. Are you sure?';
+  if (window.confirm(msg)) {
+    if (restoreEditorSnapshot(snapshot)) {
+      $('#save-name').val(name);
+    } else {
+      window.alert('The saved grammar "' + name + '" could not be read.');
+    }
+  }
+};
+
+/** Handler to delete the saved grammar chosen by the user. */
+function deleteNamedGrammar() {
+  var name = $('#saved-grammars').val();
+  var saved = getSavedGrammars();
+  if (!name || !saved[name] ||
+      !window.confirm('Delete the saved grammar "' + name + '"?')) {
+    return;
+  }
+  delete saved[name];
+  writeStoredJSON(getSavedGrammars.KEY, saved);
+  showSavedGrammars();
+};
@@ -0,0 +1,176 @@
+/**
+ * Model representing a test string together with the result expected from
+ * the grammar, so that a list of test strings can be used as a test suite,
+ * and the JSON documents that hold a grammar with its test strings.
+ */
+
+
+if (typeof module === 'object' && module.exports) {
+  var Grammar = require('./grammar.js').Grammar;
+  var GrammarFormatError = require('./grammar.js').GrammarFormatError;
+}
+
+
+/**
+ * A TestCase holds a test string and whether the grammar is expected to
+ * generate it: true to expect a match, false to expect no match, or null if
+ * there is no expectation.
+ */
+function TestCase(str, expected) {
+  this.string = str;
+  this.expected = expected;
+};
+
+/** Prefix of a line whose string the grammar should generate. */
+TestCase.EXPECT_MATCH = '+ ';
+/** Prefix of a line whose string the grammar should not generate. */
+TestCase.EXPECT_NO_MATCH = '- ';
+
+/**
+ * Reads one line of test strings. A line that starts with TestCase.EXPECT_MATCH
+ * or TestCase.EXPECT_NO_MATCH expects the rest of the line to be generated or
+ * not. Any other line is a string without an expectation, so that strings
+ * such as +a can still be tested.
+ */
+TestCase.parse = function(line) {
+  if (line.indexOf(TestCase.EXPECT_MATCH) === 0) {
+    return new TestCase(line.substring(TestCase.EXPECT_MATCH.length), true);
+  }
+  if (line.indexOf(TestCase.EXPECT_NO_MATCH) === 0) {
+    return new TestCase(line.substring(TestCase.EXPECT_NO_MATCH.length),
+                        false);
+  }
+  return new TestCase(line, null);
+};
+
+/** Reads the TestCases of text with one test string per line. */
+TestCase.parseLines = function(text) {
+  var lines = text.split(/\r?\n/);
+  var testCases = [];
+  for (var i = 0; i < lines.length; i++) {
+    testCases.push(TestCase.parse(lines[i]));
+  }
+  return testCases;
+};
+
+/**
+ * Returns the line that TestCase.parse() reads back as this TestCase, or
+ * null if there is none: the string has a line break, or it has no
+ * expectation and starts with TestCase.EXPECT_MATCH or
+ * TestCase.EXPECT_NO_MATCH.
+ */
+TestCase.prototype.toLine = function() {
+  if (/[\r\n]/.test(this.string)) {
+    return null;
+  }
+  if (this.expected === null) {
+    var parsed = TestCase.parse(this.string);
+    return parsed.expected === null ? this.string : null;
+  }
+  return (this.expected ? TestCase.EXPECT_MATCH : TestCase.EXPECT_NO_MATCH) +
+         this.string;
+};
+
+/**
+ * Returns true if the result of matching the string agrees with the
+ * expectation, false if it does not, and null if there is no expectation.
+ */
+TestCase.prototype.passes = function(isMatch) {
+  return this.expected === null ? null : this.expected === isMatch;
+};
+
+/**
+ * Returns a plain object that describes this TestCase in JSON, with the
+ * string and expected properties.
+ */
+TestCase.prototype.toJSON = function() {
+  return {string: this.string, expected: this.expected};
+};
+
+/**
+ * Returns a new TestCase from an object in the format of
+ * TestCase.prototype.toJSON(), or null if the object is not in that format.
+ * The expected property may be left out.
+ */
+TestCase.fromJSON = function(object) {
+  if (!object || typeof object.string !== 'string') {
+    return null;
+  }
+  var expected = object.expected === undefined ? null : object.expected;
+  if (expected !== null && typeof expected !== 'boolean') {
+    return null;
+  }
+  return new TestCase(object.string, expected);
+};
+
+
+/** Version of the format of Grammar.prototype.toDocument(). */
+Grammar.DOCUMENT_VERSION = 1;
+
+/**
+ * Returns the JSON document of this Grammar with an Array of TestCases: the
+ * object from Grammar.prototype.toJSON() with a version property for the
+ * format and a tests property with the TestCase.prototype.toJSON() object of
+ * each TestCase. The web page exports these documents and the cfg command
+ * reads them.
+ */
+Grammar.prototype.toDocument = function(testCases) {
+  var grammar = this.toJSON();
+  var tests = [];
+  for (var i = 0; i < testCases.length; i++) {
+    tests.push(testCases[i].toJSON());
+  }
+  return {
+    version: Grammar.DOCUMENT_VERSION,
+    start: grammar.start,
+    nonterminals: grammar.nonterminals,
+    tests: tests
+  };
+};
+
+/**
+ * Reads a JSON document in the format of Grammar.prototype.toDocument().
+ * Returns an object with the Grammar and the Array of TestCases, which may be
+ * left out of the document. Throws a GrammarFormatError if the document
+ * cannot be read, including when a TestCase cannot be written as a line of
+ * the test strings with TestCase.prototype.toLine().
+ */
+Grammar.readDocument = function(grammarDocument) {
+  if (!grammarDocument ||
+      grammarDocument.version !== Grammar.DOCUMENT_VERSION) {
+    throw new GrammarFormatError('The file is not a version ' +
+                                 Grammar.DOCUMENT_VERSION + ' CFG ' +
+                                 'document.');
+  }
+  var grammar = Grammar.fromJSON(grammarDocument);
+  var tests = grammarDocument.tests === undefined ? [] :
+              grammarDocument.tests;
+  if (!(tests instanceof Array)) {
+    throw new GrammarFormatError('The "tests" property must be an array.');
+  }
+  var testCases = [];
+  for (var i = 0; i < tests.length; i++) {
+    var testCase = TestCase.fromJSON(tests[i]);
+    if (!testCase) {
+      throw new GrammarFormatError('Test ' + (i + 1) + ' needs a "string" ' +
+                                   'and an optional boolean "expected".');
+    }
+    if (testCase.toLine() === null) {
+      throw new GrammarFormatError('Test ' + (i + 1) + ' cannot be written ' +
+                                   'as a line of test strings. Its string ' +
+                                   'has a line break, or starts with "' +
+                                   TestCase.EXPECT_MATCH + '" or "' +
+                                   TestCase.EXPECT_NO_MATCH + '" without an ' +
+                                   '"expected" result.');
+    }
+    testCases.push(testCase);
+  }
+  return {grammar: grammar, testCases: testCases};
+};
+
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    TestCase: TestCase
+  };
+}
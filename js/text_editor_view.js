@@ -0,0 +1,146 @@
+/**
+ * Text-mode editor of the grammar web page: a textarea in which the CFG is
+ * typed in the plain-text format of Grammar.parse(), as an alternative to
+ * the production rows. The two editors are kept in sync.
+ */
+
+
+/** Returns true if the text editor is shown instead of the production rows. */
+function isTextMode() {
+  return !$('div.text-editor').hasClass('hidden');
+};
+
+/**
+ * Handler to show the text editor, filled in with the CFG of the production
+ * rows.
+ */
+function showTextEditor() {
+  if (isTextMode()) {
+    return;
+  }
+  $('#grammar-text').val(readGrammar().toText());
+  showGrammarTextError(null);
+  setTextMode(true);
+  startFocus($('#grammar-text')[0]);
+};
+
+/**
+ * Handler to show the production rows again. They already hold the last CFG
+ * that could be read from the text, so text with an error is discarded once
+ * the user confirms.
+ */
+function showRowEditor() {
+  if (!isTextMode()) {
+    return;
+  }
+  var msg = 'The text of the CFG has an error and your changes since the ' +
+            'last valid CFG will be lost. Are you sure?';
+  if ($('#grammar-text-error').text() !== '' && !window.confirm(msg)) {
+    return;
+  }
+  setTextMode(false);
+};
+
+/** Shows the text editor if textMode is true, or else the production rows. */
+function setTextMode(textMode) {
+  $('div.text-editor').toggleClass('hidden', !textMode);
+  $('div.row-editor').toggleClass('hidden', textMode);
+  $('#text-mode').toggleClass('active', textMode);
+  $('#rows-mode').toggleClass('active', !textMode);
+};
+
+/**
+ * Handler for changes to the text of the CFG. If the text can be read, the
+ * production rows are replaced with it and the CFG is tested. Otherwise the
+ * error is shown and the rows keep the last valid CFG, while the text is
+ * saved as typed.
+ */
+function handleGrammarText() {
+  var grammar = readGrammarText();
+  if (!grammar) {
+    autosave();
+  } else if (grammar.toText() !== readGrammar().toText()) {
+    fillGrammar(grammar);
+    startTest();
+  }
+};
+
+/**
+ * Returns the Grammar read from the text editor, or null if the text has an
+ * error, which is shown under it.
+ */
+function readGrammarText() {
+  var grammar;
+  try {
+    grammar = Grammar.parse($('#grammar-text').val());
+  } catch (e) {
+    if (!(e instanceof GrammarSyntaxError)) {
+      throw e;
+    }
+    showGrammarTextError(e);
+    return null;
+  }
+  showGrammarTextError(null);
+  return grammar;
+};
+
+/**
+ * Shows the message of a GrammarSyntaxError under the text editor and
+ * underlines the line that it points at, or clears them if error is null.
+ */
+function showGrammarTextError(error) {
+  var backdrop = $('#grammar-text-backdrop');
+  backdrop.empty();
+  $('#grammar-text-error').text(error ? error.message : '');
+  if (!error) {
+    return;
+  }
+  // The backdrop repeats the text, which is transparent, so that the span
+  // around the line with the error lies exactly under it.
+  var lines = $('#grammar-text').val().split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    if (i !== 0) {
+      backdrop.append(document.createTextNode('\n'));
+    }
+    if (i === error.line - 1) {
+      // Give an empty line some width so that its underline shows.
+      $('<span/>', {
+        'class': 'error-line',
+        'text': lines[i] === '' ? ' ' : lines[i]
+      }).appendTo(backdrop);
+    } else {
+      backdrop.append(document.createTextNode(lines[i]));
+    }
+  }
+  // Leave room at the end for the textarea's last line break.
+  backdrop.append(document.createTextNode('\n'));
+  syncGrammarTextScroll();
+};
+
+/** Scrolls the backdrop of the text editor along with its textarea. */
+function syncGrammarTextScroll() {
+  var textarea = $('#grammar-text')[0];
+  var backdrop = $('#grammar-text-backdrop')[0];
+  backdrop.scrollTop = textarea.scrollTop;
+  backdrop.scrollLeft = textarea.scrollLeft;
+};
+
+/**
+ * Replaces the text of the CFG with the CFG of the production rows if the
+ * text editor is shown. Called whenever the rows are replaced from outside
+ * the text editor.
+ */
+function syncGrammarText() {
+  if (isTextMode()) {
+    $('#grammar-text').val(readGrammar().toText());
+    showGrammarTextError(null);
+  }
+};
+
+/** Binds the handlers of the text editor. */
+function initializeTextEditor() {
+  $('#rows-mode').click(function(event) { showRowEditor(); });
+  $('#text-mode').click(function(event) { showTextEditor(); });
+  $('#grammar-text').on('input', handleGrammarText)
+                    .scroll(syncGrammarTextScroll);
+};
@@ -0,0 +1,55 @@
+// Tests for ambiguity.js: finding strings with several parse trees.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+var Earley = cfg.Earley;
+
+describe('Ambiguity', function() {
+  // The expression grammar has two parse trees for a+a+a, while a^n b^n is
+  // unambiguous.
+  var earley1 = new Earley(Grammar.parse('E -> E+E | a'));
+  var earley2 = new Earley(Grammar.parse('S -> aSb | ε'));
+
+  it('isAmbiguous looks for two parse trees', function() {
+    assert.ok(earley1.isAmbiguous('a+a+a'));
+    assert.ok(!earley1.isAmbiguous('a+a'));
+    assert.ok(!earley1.isAmbiguous('a+'));
+    assert.ok(!earley2.isAmbiguous('aaabbb'));
+  });
+
+  it('getParseTrees returns the distinct trees', function() {
+    var trees = earley1.getParseTrees('a+a+a', 2);
+    assert.strictEqual(trees.length, 2);
+    assert.deepStrictEqual(trees.map(String).sort(), [
+      'E(E(E(a) + E(a)) + E(a))',
+      'E(E(a) + E(E(a) + E(a)))'
+    ]);
+  });
+
+  it('findShortestAmbiguousString', function() {
+    var result = earley1.findShortestAmbiguousString(5);
+    assert.strictEqual(result.string, 'a+a+a');
+    assert.strictEqual(result.trees.length, 2);
+    assert.ok(!result.limitReached);
+    result = earley2.findShortestAmbiguousString(6);
+    assert.strictEqual(result.string, null);
+    assert.strictEqual(result.checked, 127);
+    assert.ok(!result.limitReached);
+  });
+
+  it('a cyclic grammar is ambiguous', function() {
+    var cyclic = new Earley(Grammar.parse('S -> A | a\nA -> S'));
+    assert.ok(cyclic.isAmbiguous('a'));
+    assert.deepStrictEqual(cyclic.getParseTrees('a', 2).map(String),
+                           ['S(a)', 'S(A(S(a)))']);
+    var result = cyclic.findShortestAmbiguousString(3);
+    assert.strictEqual(result.string, 'a');
+    assert.strictEqual(result.trees.length, 2);
+    cyclic = new Earley(Grammar.parse('S -> SS | ε | a'));
+    assert.ok(cyclic.isAmbiguous('a'));
+    assert.strictEqual(cyclic.findShortestAmbiguousString(3).string, '');
+  });
+});
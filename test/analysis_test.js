@@ -0,0 +1,75 @@
+// Tests for analysis.js: nullable nonterminals, FIRST and FOLLOW sets,
+// terminals and warnings.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+
+/** Returns the sorted keys of a set. */
+function keys(set) {
+  return Object.keys(set).sort();
+}
+
+describe('Grammar analysis', function() {
+  // E -> TX        nullable: X, Y
+  // X -> +TX | ε   FIRST(E) = FIRST(T) = FIRST(F) = { (, i }
+  // T -> FY        FOLLOW(E) = FOLLOW(X) = { ), $ }
+  // Y -> *FY | ε   FOLLOW(T) = FOLLOW(Y) = { +, ), $ }
+  // F -> (E) | i   FOLLOW(F) = { *, +, ), $ }
+  var grammar = Grammar.parse('E -> TX\nX -> +TX | eps\nT -> FY\n' +
+                              'Y -> *FY | eps\nF -> (E) | i');
+  var end = Grammar.END_MARKER;
+
+  it('getNullable finds the nonterminals that derive ε', function() {
+    assert.deepStrictEqual(keys(grammar.getNullable()), ['X', 'Y']);
+    assert.deepStrictEqual(
+        keys(Grammar.parse('S -> AB\nA -> B | ε\nB -> A').getNullable()),
+        ['A', 'B', 'S']);
+    assert.deepStrictEqual(keys(Grammar.parse('S -> <T>').getNullable()),
+                           []);
+  });
+
+  it('getFirstSets of the expression grammar', function() {
+    var first = grammar.getFirstSets();
+    assert.deepStrictEqual(keys(first.E), ['(', 'i']);
+    assert.deepStrictEqual(keys(first.T), ['(', 'i']);
+    assert.deepStrictEqual(keys(first.F), ['(', 'i']);
+    assert.deepStrictEqual(keys(first.X), ['+']);
+    assert.deepStrictEqual(keys(first.Y), ['*']);
+  });
+
+  it('getFollowSets of the expression grammar', function() {
+    var follow = grammar.getFollowSets();
+    assert.deepStrictEqual(keys(follow.E), [end, ')'].sort());
+    assert.deepStrictEqual(keys(follow.X), [end, ')'].sort());
+    assert.deepStrictEqual(keys(follow.T), [end, ')', '+'].sort());
+    assert.deepStrictEqual(keys(follow.Y), [end, ')', '+'].sort());
+    assert.deepStrictEqual(keys(follow.F), [end, ')', '*', '+'].sort());
+  });
+
+  it('getTerminals lists each terminal once', function() {
+    assert.deepStrictEqual(grammar.getTerminals(),
+                           ['(', ')', '*', '+', 'i']);
+    assert.deepStrictEqual(Grammar.parse('S -> "if" S | ε').getTerminals(),
+                           ['if']);
+  });
+
+  it('getWarnings reports unusable nonterminals', function() {
+    assert.deepStrictEqual(grammar.getWarnings(), []);
+    var warnings = Grammar.parse('S -> aS | <Bee> | C\nT -> t\nU -> U')
+                          .getWarnings();
+    var messages = warnings.map(function(warning) {
+      return warning.nonterminal + ': ' + warning.message;
+    });
+    assert.deepStrictEqual(messages, [
+      'S: Nonterminal <Bee> has no production.',
+      'S: C is a terminal because it has no production. Did you mean to ' +
+          'add one?',
+      'T: T cannot be reached from the start symbol.',
+      'U: U cannot be reached from the start symbol.',
+      'U: U does not derive any string of terminals.'
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+// Tests for bin/cfg.js: the exit codes and output of the cfg command.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var after = require('node:test').after;
+var assert = require('node:assert');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Grammar = require('../js/cfg.js').Grammar;
+
+var CFG = path.join(__dirname, '..', 'bin', 'cfg.js');
+var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cfg-test-'));
+
+/** Writes a file in the temporary directory and returns its path. */
+function writeFile(name, text) {
+  var file = path.join(directory, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+/**
+ * Runs the cfg command with the arguments and the standard input. Returns
+ * an object with the exit status and the stdout and stderr text.
+ */
+function runCFG(args, opt_input) {
+  var result = childProcess.spawnSync(process.execPath, [CFG].concat(args), {
+    input: opt_input || '',
+    encoding: 'utf-8'
+  });
+  return {status: result.status, stdout: result.stdout,
+          stderr: result.stderr};
+}
+
+after(function() {
+  fs.rmSync(directory, {recursive: true, force: true});
+});
+
+describe('cfg check', function() {
+  var grammarFile = writeFile('anbn.txt', 'S -> aSb | ε\n');
+
+  it('exits with 0 when every expectation passes', function() {
+    var stringsFile = writeFile('pass.txt', '+ ab\n- ba\naabb\n');
+    var result = runCFG(['check', grammarFile, stringsFile]);
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout,
+                       '1\taccept  PASS  "ab"\n' +
+                       '2\treject  PASS  "ba"\n' +
+                       '3\taccept        "aabb"\n' +
+                       '3 strings: 2 accepted, 1 rejected. 2 passed, ' +
+                       '0 failed.\n');
+  });
+
+  it('exits with 1 when an expectation fails', function() {
+    var stringsFile = writeFile('fail.txt', '+ ab\n+ ba\n');
+    var result = runCFG(['check', '--quiet', grammarFile, stringsFile]);
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(result.stdout,
+                       '2\treject  FAIL  "ba"\n' +
+                       '2 strings: 1 accepted, 1 rejected. 1 passed, ' +
+                       '1 failed.\n');
+  });
+
+  it('reads the strings from the standard input', function() {
+    var result = runCFG(['check', '-d', grammarFile, '-'], '+ ab\n');
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stdout,
+                       '1\taccept  PASS  "ab"\n' +
+                       '      S\n' +
+                       '   => aSb\n' +
+                       '   => ab\n' +
+                       '1 string: 1 accepted, 0 rejected. 1 passed, ' +
+                       '0 failed.\n');
+  });
+
+  it('checks the test strings of a JSON file', function() {
+    var grammarDocument = Grammar.parse('S -> aSb | ε').toJSON();
+    grammarDocument.version = 1;
+    grammarDocument.tests = [{string: 'ab', expected: true},
+                             {string: 'a', expected: true}];
+    var jsonFile = writeFile('anbn.json', JSON.stringify(grammarDocument));
+    var result = runCFG(['check', jsonFile]);
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /2\treject  FAIL  "a"\n/);
+  });
+
+  it('exits with 2 for arguments and files it cannot read', function() {
+    var badGrammar = writeFile('bad.txt', 'S -> "a\n');
+    var argsList = [
+      [],
+      ['run', grammarFile],
+      ['check', '--verbose', grammarFile],
+      ['check', grammarFile],
+      ['check', path.join(directory, 'missing.txt'), '-'],
+      ['check', badGrammar, '-']
+    ];
+    for (var i = 0; i < argsList.length; i++) {
+      var result = runCFG(argsList[i]);
+      assert.strictEqual(result.status, 2, argsList[i].join(' '));
+      assert.strictEqual(result.stdout, '');
+      assert.match(result.stderr, /^cfg: /);
+    }
+    assert.match(runCFG(['check', badGrammar, '-']).stderr, /Line 1/);
+  });
+
+  it('prints the usage for --help', function() {
+    var result = runCFG(['--help']);
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /^Usage: cfg check/);
+  });
+});
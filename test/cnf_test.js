@@ -0,0 +1,54 @@
+// Tests for cnf.js: the conversion to Chomsky Normal Form.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+var Earley = cfg.Earley;
+
+/** Checks that two Grammars agree on each of the strings. */
+function assertSameMatches(grammar1, grammar2, strings) {
+  var earley1 = new Earley(grammar1);
+  var earley2 = new Earley(grammar2);
+  for (var i = 0; i < strings.length; i++) {
+    assert.strictEqual(!earley1.getMatchState(strings[i]),
+                       !earley2.getMatchState(strings[i]),
+                       JSON.stringify(strings[i]));
+  }
+}
+
+describe('Chomsky Normal Form', function() {
+  it('removes epsilon and unit rules', function() {
+    var grammar = Grammar.parse('S -> ASA | aB\nA -> B | S\nB -> b | ε');
+    var steps = grammar.getCNFSteps();
+    assert.ok(steps.length > 1);
+    for (var i = 0; i < steps.length; i++) {
+      assert.strictEqual(typeof steps[i].title, 'string');
+      assert.strictEqual(typeof steps[i].description, 'string');
+    }
+    assert.ok(!grammar.isCNF());
+    var cnf = steps[steps.length - 1].grammar;
+    assert.ok(cnf.isCNF());
+    assert.strictEqual(grammar.toCNF().toText(), cnf.toText());
+    assertSameMatches(grammar, cnf, ['', 'a', 'b', 'ab', 'ba', 'aab', 'bab',
+                                     'abab', 'bbbb', 'aba', 'abba']);
+  });
+
+  it('keeps ε only on the start symbol', function() {
+    var grammar = Grammar.parse('S -> aSb | SS | ε');
+    var cnf = grammar.toCNF();
+    assert.ok(cnf.isCNF());
+    assertSameMatches(grammar, cnf, ['', 'ab', 'ba', 'aabb', 'abab', 'abb',
+                                     'aababb']);
+  });
+
+  it('isCNF rejects rules out of the normal form', function() {
+    assert.ok(Grammar.parse('S -> AB | ε\nA -> a\nB -> b').isCNF());
+    assert.ok(!Grammar.parse('S -> AB\nA -> a | ε\nB -> b').isCNF());
+    assert.ok(!Grammar.parse('S -> A\nA -> a').isCNF());
+    assert.ok(!Grammar.parse('S -> aB\nB -> b').isCNF());
+    assert.ok(!Grammar.parse('S -> ABA\nA -> a\nB -> b').isCNF());
+    assert.ok(!Grammar.parse('S -> SS | a').isCNF());
+  });
+});
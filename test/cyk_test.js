@@ -0,0 +1,65 @@
+// Tests for cyk.js: the CYK parser, checked against the Earley parser.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+var Earley = cfg.Earley;
+var CYK = cfg.CYK;
+
+/**
+ * Checks that the CYK and Earley parsers agree on every string of the
+ * alphabet with at most maxLength characters.
+ */
+function assertAgreesWithEarley(grammar, alphabet, maxLength) {
+  var earley = new Earley(grammar);
+  var cyk = new CYK(grammar);
+  var strings = [''];
+  for (var i = 0; i < strings.length; i++) {
+    assert.strictEqual(!cyk.doesMatch(strings[i]),
+                       !earley.getMatchState(strings[i]),
+                       JSON.stringify(strings[i]));
+    if (strings[i].length < maxLength) {
+      for (var j = 0; j < alphabet.length; j++) {
+        strings.push(strings[i] + alphabet[j]);
+      }
+    }
+  }
+}
+
+describe('CYK', function() {
+  it('agrees with Earley on the palindromes', function() {
+    assertAgreesWithEarley(Grammar.parse('S -> 0S0 | 1S1 | 0 | 1 | ε'),
+                           ['0', '1'], 6);
+  });
+
+  it('agrees with Earley on grammars with ε and unit rules', function() {
+    assertAgreesWithEarley(Grammar.parse('S -> ASA | aB\nA -> B | S\n' +
+                                         'B -> b | ε'), ['a', 'b'], 5);
+    assertAgreesWithEarley(Grammar.parse('S -> aSb | SS | ε'),
+                           ['a', 'b'], 6);
+  });
+
+  it('returns a rightmost derivation in the CNF grammar', function() {
+    var cyk = new CYK(Grammar.parse('S -> aSb | ε'));
+    var states = cyk.doesMatch('aabb');
+    assert.ok(states[0].hasStart());
+    var form = [cyk.cnf.startSymbol];
+    for (var i = 1; i < states.length; i++) {
+      var index = form.length - 1;
+      while (form[index].isTerminal) {
+        index--;
+      }
+      assert.ok(form[index].equals(states[i].lhs));
+      assert.ok(cyk.cnf.productions[states[i].lhs.ch].rhsContains(
+          states[i].symArray));
+      form.splice.apply(form, [index, 1].concat(states[i].symArray.symbols));
+    }
+    assert.strictEqual(form.map(function(symbol) {
+      return symbol.ch;
+    }).join(''), 'aabb');
+    assert.strictEqual(cyk.doesMatch('').length, 2);
+    assert.strictEqual(cyk.doesMatch('aab'), null);
+  });
+});
@@ -0,0 +1,373 @@
+// Tests for earley.js: the State and Context classes and the Earley parser,
+// including the derivations that it returns.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Symbol = cfg.Symbol;
+var SymArray = cfg.SymArray;
+var Production = cfg.Production;
+var Grammar = cfg.Grammar;
+var State = cfg.State;
+var Context = cfg.Context;
+var Earley = cfg.Earley;
+
+/** Grammar for the palindromes over {0,1}, split over three productions. */
+function getPalindromeGrammar() {
+  var grammar = new Grammar(new Symbol('S', false));
+  grammar.addProduction(Grammar.parse('S -> 0S0 | 1S1').productions.S);
+  grammar.addProduction(Grammar.parse('S -> 1S1 | 0 | 1').productions.S);
+  grammar.addProduction(Grammar.parse('S -> 0 | 1 | ε').productions.S);
+  return grammar;
+}
+
+/**
+ * Checks that the States returned by Earley.prototype.doesMatch() are a
+ * rightmost derivation of the input: the first completed State derives the
+ * start symbol, and each completed State after it is a rule of the grammar
+ * that replaces the rightmost nonterminal of the sentential form. Returns
+ * the number of steps.
+ */
+function assertDerivation(grammar, input, matchStates) {
+  var completed = matchStates.filter(function(state) {
+    return state.isComplete();
+  });
+  assert.ok(completed.length > 0, 'no derivation of ' + input);
+  assert.ok(completed[0].hasStart());
+  assert.ok(completed[0].symArray.equals(
+      new SymArray([grammar.startSymbol])));
+  var form = [grammar.startSymbol];
+  for (var i = 1; i < completed.length; i++) {
+    var state = completed[i];
+    var index = form.length - 1;
+    while (index >= 0 && form[index].isTerminal) {
+      index--;
+    }
+    assert.ok(index >= 0, 'too many steps for ' + input);
+    assert.ok(form[index].equals(state.lhs),
+              'step ' + i + ' of ' + input + ' is not rightmost');
+    assert.ok(grammar.productions[state.lhs.ch].rhsContains(state.symArray),
+              'step ' + i + ' of ' + input + ' is not a rule');
+    form.splice.apply(form, [index, 1].concat(state.symArray.symbols));
+  }
+  var str = '';
+  for (var i = 0; i < form.length; i++) {
+    assert.ok(form[i].isTerminal, 'the derivation of ' + input + ' ends ' +
+              'with a nonterminal');
+    str += form[i].ch;
+  }
+  assert.strictEqual(str, input);
+  return completed.length - 1;
+}
+
+/**
+ * Checks the Earley parser against the expected language on every string of
+ * the alphabet up to maxLength characters, and checks the derivation of each
+ * string that matches.
+ */
+function assertLanguage(grammar, alphabet, maxLength, inLanguage) {
+  var earley = new Earley(grammar);
+  var strings = [''];
+  for (var i = 0; i < strings.length; i++) {
+    var str = strings[i];
+    var match = earley.doesMatch(str);
+    assert.strictEqual(match !== null, inLanguage(str), JSON.stringify(str));
+    if (match) {
+      assertDerivation(grammar, str, match);
+    }
+    if (str.length < maxLength) {
+      for (var j = 0; j < alphabet.length; j++) {
+        strings.push(str + alphabet[j]);
+      }
+    }
+  }
+}
+
+describe('State', function() {
+  var production = Grammar.parse('S -> aSb').productions.S;
+
+  it('advances over its rule', function() {
+    var state = new State(production.lhs, production.rhs[0], 0, 2, []);
+    assert.ok(!state.isComplete());
+    assert.ok(state.getNextSymbol().equals(new Symbol('a', true)));
+    var next = state.getAdvancedState([state]);
+    assert.strictEqual(next.currentPosition, 1);
+    assert.strictEqual(next.originPosition, 2);
+    assert.ok(next.hasNonterminalNext(new Symbol('S', false)));
+    var last = new State(production.lhs, production.rhs[0], 3, 2, []);
+    assert.ok(last.isComplete());
+    assert.strictEqual(last.getNextSymbol(), null);
+    assert.ok(!last.isCompleteParse());
+  });
+
+  it('equals ignores the prev pointers', function() {
+    var state1 = new State(production.lhs, production.rhs[0], 1, 0, []);
+    var state2 = new State(production.lhs, production.rhs[0], 1, 0,
+                           [state1]);
+    assert.ok(state1.equals(state2));
+    assert.ok(!state1.equals(
+        new State(production.lhs, production.rhs[0], 1, 1, [])));
+    assert.ok(!state1.equals(
+        new State(production.lhs, production.rhs[0], 2, 0, [])));
+  });
+
+  it('rejects a position outside of its rule', function() {
+    assert.throws(function() {
+      new State(production.lhs, production.rhs[0], 4, 0, []);
+    });
+    assert.throws(function() {
+      new State(production.lhs, production.rhs[0], -1, 0, []);
+    });
+  });
+});
+
+describe('Context', function() {
+  var production = Grammar.parse('S -> aSb | ε').productions.S;
+
+  it('addState ignores duplicate States', function() {
+    var context = new Context('ab');
+    var state = new State(production.lhs, production.rhs[0], 0, 0, []);
+    assert.strictEqual(context.addState(state, 0), true);
+    assert.strictEqual(context.addState(
+        new State(production.lhs, production.rhs[0], 0, 0, []), 0), false);
+    assert.strictEqual(context.states[0].length, 1);
+    assert.strictEqual(context.addState(
+        new State(production.lhs, production.rhs[1], 0, 0, []), 0), true);
+    assert.strictEqual(context.addState(state, 1), true);
+    assert.strictEqual(context.states[0].length, 2);
+    assert.strictEqual(context.getState(state, 1), context.states[1][0]);
+    assert.strictEqual(context.getState(state, 2), null);
+  });
+
+  it('addState merges the prev pointers of equal States', function() {
+    var context = new Context('ab');
+    var prev1 = new State(production.lhs, production.rhs[0], 0, 0, []);
+    var prev2 = new State(production.lhs, production.rhs[0], 2, 0, []);
+    context.addState(
+        new State(production.lhs, production.rhs[0], 1, 0, [prev1]), 1);
+    assert.strictEqual(context.addState(
+        new State(production.lhs, production.rhs[0], 1, 0, [prev1]), 1),
+        false);
+    assert.strictEqual(context.addState(
+        new State(production.lhs, production.rhs[0], 1, 0, [prev2]), 1),
+        true);
+    assert.strictEqual(context.states[1].length, 1);
+    assert.deepStrictEqual(context.states[1][0].prev, [prev1, prev2]);
+  });
+
+  it('indexes the States by their next Symbol and completion', function() {
+    var context = new Context('ab');
+    var waiting = new State(production.lhs, production.rhs[0], 1, 0, []);
+    var complete = new State(production.lhs, production.rhs[1], 0, 1, []);
+    context.addState(new State(production.lhs, production.rhs[0], 0, 1, []),
+                     1);
+    context.addState(waiting, 1);
+    context.addState(complete, 1);
+    assert.deepStrictEqual(context.getWaitingStates(production.lhs, 1),
+                           [waiting]);
+    assert.deepStrictEqual(context.getWaitingStates(production.lhs, 0), []);
+    assert.deepStrictEqual(
+        context.getCompletedStates(production.lhs, 1, 1), [complete]);
+    assert.deepStrictEqual(
+        context.getCompletedStates(production.lhs, 0, 1), []);
+  });
+
+  it('does not confuse a long terminal with shorter ones', function() {
+    var grammar = Grammar.parse('S -> "ab" | a b');
+    var context = new Context('ab');
+    var rhs = grammar.productions.S.rhs;
+    assert.strictEqual(context.addState(
+        new State(grammar.startSymbol, rhs[0], 0, 0, []), 0), true);
+    assert.strictEqual(context.addState(
+        new State(grammar.startSymbol, rhs[1], 0, 0, []), 0), true);
+    assert.strictEqual(context.states[0].length, 2);
+  });
+
+  it('addState ignores the index after the input', function() {
+    var context = new Context('ab');
+    var state = new State(production.lhs, production.rhs[0], 0, 0, []);
+    assert.strictEqual(context.addState(state, 3), false);
+    assert.throws(function() { context.addState(state, 4); });
+    assert.throws(function() { context.addState(state, -1); });
+  });
+});
+
+describe('Earley', function() {
+  it('accepts exactly the palindromes', function() {
+    var grammar = getPalindromeGrammar();
+    var earley = new Earley(grammar);
+    var accepted = ['', '101', '110011', '10101010101', '100000001',
+                    '10000001', '1', '0', '11', '00', '101101', '10100101'];
+    var rejected = ['110', '10', '01', '011', '111100110001111',
+                    '111100011001111', '10101010', '10110', '1000000000010',
+                    '100010010101010101101000101',
+                    '01010100010101100101010100000', '3', '10S01'];
+    for (var i = 0; i < accepted.length; i++) {
+      var match = earley.doesMatch(accepted[i]);
+      assert.ok(match, accepted[i]);
+      assertDerivation(grammar, accepted[i], match);
+    }
+    for (var i = 0; i < rejected.length; i++) {
+      assert.strictEqual(earley.doesMatch(rejected[i]), null, rejected[i]);
+      assert.strictEqual(earley.getMatchState(rejected[i]), null,
+                         rejected[i]);
+    }
+    assertLanguage(grammar, ['0', '1'], 8, function(str) {
+      return str === str.split('').reverse().join('');
+    });
+  });
+
+  it('handles nullable nonterminals', function() {
+    // S -> 0XX, X -> ε | 1 matches 0, 01 and 011.
+    var grammar = new Grammar(new Symbol('S', false));
+    grammar.addProduction(new Production(new Symbol('S', false), [
+      new SymArray([new Symbol('0', true), new Symbol('X', false),
+                    new Symbol('X', false)])
+    ]));
+    grammar.addProduction(new Production(new Symbol('X', false), [
+      new SymArray([]), new SymArray([new Symbol('1', true)])
+    ]));
+    assertLanguage(grammar, ['0', '1'], 5, function(str) {
+      return /^01{0,2}$/.test(str);
+    });
+  });
+
+  it('handles epsilon-heavy grammars', function() {
+    assertLanguage(Grammar.parse('S -> AAAA\nA -> ε | a'), ['a', 'b'], 6,
+                   function(str) { return /^a{0,4}$/.test(str); });
+    assertLanguage(Grammar.parse('S -> ABC\nA -> B | ε\nB -> C | ε\n' +
+                                 'C -> A | c | ε'), ['c'], 5,
+                   function(str) { return str.length <= 3; });
+    assertLanguage(Grammar.parse('S -> SS | ε'), ['a'], 3,
+                   function(str) { return str === ''; });
+    assertLanguage(Grammar.parse('S -> X\nX -> Y\nY -> Z\nZ -> ε'), ['a'], 2,
+                   function(str) { return str === ''; });
+    // The search for derivations of longer strings of the next two grammars
+    // reaches Earley.DERIVATION_LIMIT.
+    assertLanguage(Grammar.parse('S -> SS | a | ε'), ['a', 'b'], 3,
+                   function(str) { return /^a*$/.test(str); });
+    assertLanguage(Grammar.parse('S -> aSb | SS | ε'), ['a', 'b'], 4,
+                   function(str) {
+      var depth = 0;
+      for (var i = 0; i < str.length && depth >= 0; i++) {
+        depth += str[i] === 'a' ? 1 : -1;
+      }
+      return depth === 0;
+    });
+  });
+
+  it('handles left and right recursion', function() {
+    assertLanguage(Grammar.parse('S -> Sa | a'), ['a', 'b'], 6,
+                   function(str) { return /^a+$/.test(str); });
+    assertLanguage(Grammar.parse('S -> aS | a'), ['a', 'b'], 6,
+                   function(str) { return /^a+$/.test(str); });
+    var grammar = Grammar.parse('E -> E+T | T\nT -> T*F | F\nF -> (E) | a');
+    var earley = new Earley(grammar);
+    var accepted = ['a', 'a+a', 'a*a', 'a+a*a', '(a+a)*a', '((a))',
+                    'a*(a+a*a)+a'];
+    var rejected = ['', '+', 'a+', '*a', '(a', 'a)', '()', 'aa', 'a+*a'];
+    for (var i = 0; i < accepted.length; i++) {
+      assertDerivation(grammar, accepted[i], earley.doesMatch(accepted[i]));
+    }
+    for (var i = 0; i < rejected.length; i++) {
+      assert.strictEqual(earley.doesMatch(rejected[i]), null, rejected[i]);
+    }
+  });
+
+  it('recognizes right recursion with Leo items', function() {
+    // Each set holds the same few States however long the input is.
+    var grammar = Grammar.parse('S -> aS | ε');
+    var earley = new Earley(grammar);
+    var input = new Array(301).join('a');
+    var context = earley.recognize(input);
+    for (var i = 0; i <= input.length; i++) {
+      assert.ok(context.states[i].length <= 5, 'set ' + i);
+    }
+    assert.strictEqual(context.leoCompletions.length, input.length - 1);
+    assert.ok(earley.getMatchState(input).isCompleteParse());
+    assert.strictEqual(earley.getMatchState(input + 'b'), null);
+    grammar = Grammar.parse('S -> aB\nB -> bC | b\nC -> cS | c');
+    context = new Earley(grammar).recognize(new Array(101).join('abc'));
+    for (var i = 0; i <= 300; i++) {
+      assert.ok(context.states[i].length <= 5, 'set ' + i);
+    }
+  });
+
+  it('getChart adds the States skipped by Leo items', function() {
+    var grammar = Grammar.parse('S -> aS | ε');
+    var earley = new Earley(grammar);
+    var context = earley.getChart('aaaa');
+    assert.deepStrictEqual(context.leoCompletions, []);
+    var origins = context.getCompletedStates(grammar.startSymbol, 0, 4)
+                         .concat(
+        context.getCompletedStates(grammar.startSymbol, 1, 4),
+        context.getCompletedStates(grammar.startSymbol, 2, 4),
+        context.getCompletedStates(grammar.startSymbol, 3, 4),
+        context.getCompletedStates(grammar.startSymbol, 4, 4));
+    assert.strictEqual(origins.length, 5);
+    assertDerivation(grammar, 'aaaa', earley.doesMatch('aaaa'));
+    var input = new Array(101).join('a');
+    assert.strictEqual(assertDerivation(grammar, input,
+                                        earley.doesMatch(input)),
+                       input.length + 1);
+    assert.strictEqual(earley.getParseTree(input).getYield(), input);
+    assertLanguage(Grammar.parse('S -> aB\nB -> bC | b\nC -> cS | c'),
+                   ['a', 'b', 'c'], 7,
+                   function(str) { return /^(abc)*abc?$/.test(str); });
+    assertLanguage(Grammar.parse('S -> aS | aSb | ε'), ['a', 'b'], 7,
+                   function(str) {
+      var match = /^(a*)(b*)$/.exec(str);
+      return !!match && match[2].length <= match[1].length;
+    });
+  });
+
+  it('only adds the skipped States that a parse needs', function() {
+    // The forest of a^n only needs the States of S at the end of the input,
+    // while getChart() adds those at every index.
+    var grammar = Grammar.parse('S -> aS | ε');
+    var earley = new Earley(grammar);
+    var input = new Array(301).join('a');
+    var context = earley.recognize(input);
+    var forest = new cfg.ParseForest(grammar, input, context);
+    assert.strictEqual(forest.countTrees(), BigInt(1));
+    var count = 0;
+    for (var i = 0; i <= input.length; i++) {
+      count += context.states[i].length;
+    }
+    assert.ok(count < 7 * input.length, String(count));
+    assert.strictEqual(earley.getParseTree(input).getYield(), input);
+    grammar = Grammar.parse('S -> aB\nB -> bC | b\nC -> cS | c');
+    earley = new Earley(grammar);
+    input = new Array(31).join('abc') + 'ab';
+    assert.strictEqual(String(earley.getParseForest(input).countTrees()),
+                       String(new cfg.ParseForest(grammar, input,
+                           earley.getChart(input)).countTrees()));
+    assertDerivation(grammar, input, earley.doesMatch(input));
+  });
+
+  it('handles cycles of rules with Leo items', function() {
+    assertLanguage(Grammar.parse('S -> aA | ε\nA -> S'), ['a', 'b'], 5,
+                   function(str) { return /^a*$/.test(str); });
+    assertLanguage(Grammar.parse('S -> A | a\nA -> S | bA'), ['a', 'b'], 5,
+                   function(str) { return /^b*a$/.test(str); });
+  });
+
+  it('handles multi-character terminals', function() {
+    var grammar = Grammar.parse('S -> "if" S | x');
+    var earley = new Earley(grammar);
+    assertDerivation(grammar, 'ififx', earley.doesMatch('ififx'));
+    assert.strictEqual(earley.doesMatch('ifix'), null);
+    assert.strictEqual(earley.doesMatch('iffx'), null);
+  });
+
+  it('returns the final State of a match', function() {
+    var earley = new Earley(Grammar.parse('S -> aSb | ε'));
+    var match = earley.getMatchState('ab');
+    assert.ok(match.isCompleteParse());
+    assert.strictEqual(match.originPosition, 0);
+    var chart = earley.getChart('ab');
+    assert.strictEqual(Object.keys(chart.states).length, 3);
+    assert.strictEqual(earley.currentContext, null);
+  });
+});
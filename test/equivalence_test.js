@@ -0,0 +1,59 @@
+// Tests for equivalence.js: comparing the languages of two grammars.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+
+describe('Grammar.compareLanguages', function() {
+  var reference = Grammar.parse('S -> aSb | ε');
+
+  it('finds no difference between equivalent grammars', function() {
+    var result = Grammar.parse('S -> aTb | ε\nT -> aTb | ε')
+                        .compareLanguages(reference, 8);
+    assert.strictEqual(result.onlyThis, null);
+    assert.strictEqual(result.onlyReference, null);
+    assert.strictEqual(result.checked, 511);
+    assert.ok(!result.limitReached);
+  });
+
+  it('returns the shortest string of each difference', function() {
+    var result = Grammar.parse('S -> aSb | ab').compareLanguages(reference, 8);
+    assert.strictEqual(result.onlyThis, null);
+    assert.strictEqual(result.onlyReference, '');
+    result = Grammar.parse('S -> aSb | bSa | ε').compareLanguages(reference,
+                                                                   8);
+    assert.strictEqual(result.onlyThis, 'ba');
+    assert.strictEqual(result.onlyReference, null);
+  });
+
+  it('uses the terminals of both grammars', function() {
+    var result = Grammar.parse('S -> aSb | c').compareLanguages(reference, 4);
+    assert.strictEqual(result.onlyThis, 'c');
+    assert.strictEqual(result.onlyReference, '');
+  });
+});
+
+describe('forEachString', function() {
+  var forEachString = require('../js/equivalence.js').forEachString;
+
+  it('visits each string once, by length and then in order', function() {
+    var strings = [];
+    forEachString(['b', 'a', 'ab'], 2, function(str) {
+      strings.push(str);
+      return false;
+    });
+    assert.deepStrictEqual(strings,
+                           ['', 'a', 'b', 'aa', 'ab', 'ba', 'bb']);
+  });
+
+  it('stops once visit returns true', function() {
+    var strings = [];
+    assert.ok(forEachString(['a', 'b'], 3, function(str) {
+      strings.push(str);
+      return str === 'b';
+    }));
+    assert.deepStrictEqual(strings, ['', 'a', 'b']);
+  });
+});
@@ -0,0 +1,62 @@
+// Tests for exercise.js: checking grammars against exercises.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+var Exercise = cfg.Exercise;
+var ExerciseError = cfg.ExerciseError;
+
+describe('Exercise', function() {
+  it('each bundled exercise passes a correct grammar', function() {
+    var answers = ['S -> SS | (S) | ε', 'S -> aSb | ε',
+                   'S -> aSa | bSb | a | b | ε',
+                   'S -> aSb | aA | Bb\nA -> aA | ε\nB -> Bb | ε'];
+    assert.strictEqual(Exercise.BUNDLED.length, answers.length);
+    for (var i = 0; i < Exercise.BUNDLED.length; i++) {
+      var exercise = new Exercise(Exercise.BUNDLED[i]);
+      var result = exercise.check(Grammar.parse(answers[i]));
+      assert.ok(result.passed, Exercise.BUNDLED[i].title);
+      assert.deepStrictEqual(result.counterexamples, []);
+    }
+  });
+
+  it('check returns the shortest counterexamples', function() {
+    var exercise = new Exercise(Exercise.BUNDLED[1]);
+    var result = exercise.check(Grammar.parse('S -> aSb | ab | c'));
+    assert.ok(!result.passed);
+    assert.strictEqual(result.counterexamples.length,
+                       Exercise.COUNTEREXAMPLES);
+    assert.deepStrictEqual(result.counterexamples[0],
+                           {string: '', expected: true});
+    assert.deepStrictEqual(result.counterexamples[1],
+                           {string: 'c', expected: false});
+  });
+
+  it('accepts only strings of the alphabet', function() {
+    var exercise = new Exercise(Exercise.BUNDLED[2]);
+    assert.ok(exercise.accepts('abba'));
+    assert.ok(!exercise.accepts('ab'));
+    assert.ok(!exercise.accepts('cc'));
+  });
+
+  it('rejects invalid definitions with an ExerciseError', function() {
+    var bad = [
+      'not json',
+      '{"title": "x", "description": "y"}',
+      '{"title": "x", "description": "y", "alphabet": ["a"], ' +
+          '"maxLength": 3}',
+      '{"title": "x", "description": "y", "alphabet": [""], ' +
+          '"maxLength": 3, "reference": "S -> a"}',
+      '{"title": "x", "description": "y", "alphabet": ["a"], ' +
+          '"maxLength": 3, "reference": "-> a"}',
+      '{"title": "x", "description": "y", "alphabet": ["a"], ' +
+          '"maxLength": 3, "predicate": "return true;"}'
+    ];
+    for (var i = 0; i < bad.length; i++) {
+      assert.throws(function() { Exercise.fromJSON(bad[i]); }, ExerciseError,
+                    bad[i]);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+// Tests for forest.js: counting and listing the parse trees of a string.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+var Earley = cfg.Earley;
+
+describe('ParseForest', function() {
+  // The number of parse trees of a+a+...+a with n operators is the Catalan
+  // number C(n).
+  var earley = new Earley(Grammar.parse('E -> E+E | a'));
+
+  it('countTrees counts the trees as a BigInt', function() {
+    assert.strictEqual(earley.getParseForest('a').countTrees(), BigInt(1));
+    assert.strictEqual(earley.getParseForest('a+a+a+a').countTrees(),
+                       BigInt(5));
+    assert.strictEqual(earley.getParseForest('a+a+').countTrees(),
+                       BigInt(0));
+    assert.strictEqual(earley.getParseForest('a+a+').root, null);
+    var input = 'a' + new Array(31).join('+a');
+    assert.strictEqual(earley.getParseForest(input).countTrees().toString(),
+                       '3814986502092304');
+  });
+
+  it('getTrees lists distinct trees of the input', function() {
+    var trees = earley.getParseForest('a+a+a+a').getTrees(10);
+    assert.strictEqual(trees.length, 5);
+    for (var i = 0; i < trees.length; i++) {
+      assert.strictEqual(trees[i].getYield(), 'a+a+a+a');
+      for (var j = 0; j < i; j++) {
+        assert.ok(!trees[i].equals(trees[j]));
+      }
+    }
+    assert.strictEqual(earley.getParseForest('a+a+a+a').getTrees(2).length,
+                       2);
+    assert.deepStrictEqual(earley.getParseForest('a+').getTrees(2), []);
+  });
+
+  it('a cyclic grammar has infinitely many trees', function() {
+    // The listed trees follow each cycle at most once.
+    var cyclic = new Earley(Grammar.parse('S -> S | SS | a'));
+    assert.strictEqual(cyclic.getParseForest('aaa').countTrees(), Infinity);
+    assert.strictEqual(cyclic.getParseForest('aaa').getTrees(5).length, 5);
+    cyclic = new Earley(Grammar.parse('S -> S | a'));
+    assert.deepStrictEqual(cyclic.getParseForest('a').getTrees(5).map(String),
+                           ['S(a)', 'S(S(a))']);
+  });
+
+  it('counts and lists the trees of long right-recursive input', function() {
+    // The forest is as deep as the input is long.
+    var input = new Array(20001).join('a');
+    var rightRecursive = new Earley(Grammar.parse('S -> aS | ε'));
+    var forest = rightRecursive.getParseForest(input);
+    assert.strictEqual(forest.countTrees(), BigInt(1));
+    var trees = forest.getTrees(2);
+    assert.strictEqual(trees.length, 1);
+    var depth = 0;
+    var node = trees[0];
+    while (node.children.length === 2) {
+      assert.strictEqual(node.children[0].symbol.ch, 'a');
+      node = node.children[1];
+      depth++;
+    }
+    assert.strictEqual(depth, input.length);
+    assert.ok(node.children[0].isEpsilon());
+  });
+});
@@ -0,0 +1,206 @@
+// Tests for grammar.js: the Symbol, SymArray, Production and Grammar
+// classes, and the plain-text and JSON formats.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Symbol = cfg.Symbol;
+var SymArray = cfg.SymArray;
+var Production = cfg.Production;
+var Grammar = cfg.Grammar;
+var GrammarSyntaxError = cfg.GrammarSyntaxError;
+var GrammarFormatError = cfg.GrammarFormatError;
+
+/** Returns a SymArray of terminals and the nonterminals in upper case. */
+function symArray(str) {
+  var symbols = [];
+  for (var i = 0; i < str.length; i++) {
+    symbols.push(new Symbol(str[i], !/[A-Z]/.test(str[i])));
+  }
+  return new SymArray(symbols);
+}
+
+describe('Symbol', function() {
+  it('equals compares the name and the kind', function() {
+    assert.ok(new Symbol('a', true).equals(new Symbol('a', true)));
+    assert.ok(!new Symbol('a', true).equals(new Symbol('b', true)));
+    assert.ok(!new Symbol('S', true).equals(new Symbol('S', false)));
+  });
+
+  it('getName puts long nonterminal names in angle brackets', function() {
+    assert.strictEqual(new Symbol('S', false).getName(), 'S');
+    assert.strictEqual(new Symbol('Expr', false).getName(), '<Expr>');
+    assert.strictEqual(new Symbol('if', true).getName(), 'if');
+  });
+
+  it('toString is plain text', function() {
+    assert.strictEqual(new Symbol('<', true).toString(), '<');
+    assert.strictEqual(new Symbol('S', false).toString(), 'S');
+    assert.strictEqual(new Symbol('Expr', false).toString(true), '(<Expr>)');
+  });
+});
+
+describe('SymArray', function() {
+  it('equals compares the Symbols in order', function() {
+    assert.ok(symArray('aSb').equals(symArray('aSb')));
+    assert.ok(!symArray('aSb').equals(symArray('abS')));
+    assert.ok(!symArray('aS').equals(symArray('aSb')));
+    assert.ok(symArray('').equals(new SymArray([])));
+  });
+
+  it('the empty SymArray is epsilon', function() {
+    assert.strictEqual(symArray('').toString(), 'ε');
+    assert.strictEqual(symArray('').toText({}), 'ε');
+    assert.strictEqual(symArray('aSb').toString(), 'aSb');
+  });
+});
+
+describe('Production', function() {
+  it('addArray ignores duplicate rules', function() {
+    var production = new Production(new Symbol('S', false));
+    assert.strictEqual(production.addArray(symArray('aSb')), true);
+    assert.strictEqual(production.addArray(symArray('')), true);
+    assert.strictEqual(production.addArray(symArray('aSb')), false);
+    assert.strictEqual(production.addArray(new SymArray([])), false);
+    assert.strictEqual(production.rhs.length, 2);
+    assert.ok(production.rhsContains(symArray('aSb')));
+    assert.ok(!production.rhsContains(symArray('ab')));
+  });
+
+  it('toString lists the rules', function() {
+    var production = new Production(new Symbol('S', false),
+                                    [symArray('aSb'), symArray('')]);
+    assert.strictEqual(production.toString(), 'S → aSb | ε');
+  });
+});
+
+describe('Grammar', function() {
+  it('addProduction merges the rules of a nonterminal', function() {
+    var grammar = new Grammar(new Symbol('S', false));
+    var duplicates = grammar.addProduction(
+        new Production(new Symbol('S', false), [symArray('aSb')]));
+    assert.deepStrictEqual(duplicates, []);
+    grammar.addProduction(
+        new Production(new Symbol('T', false), [symArray('t')]));
+    duplicates = grammar.addProduction(
+        new Production(new Symbol('S', false), [symArray(''),
+                                                symArray('aSb')]));
+    assert.strictEqual(duplicates.length, 1);
+    assert.ok(duplicates[0].equals(symArray('aSb')));
+    assert.deepStrictEqual(grammar.nonterminals, ['S', 'T']);
+    assert.strictEqual(grammar.productions.S.rhs.length, 2);
+    assert.strictEqual(grammar.toText(), 'S -> aSb | ε\nT -> t');
+  });
+
+  it('reads eps as a nonterminal of that name', function() {
+    var grammar = Grammar.parse('S -> eps | a\neps -> b');
+    var rule = grammar.productions.S.rhs[0].symbols;
+    assert.strictEqual(rule.length, 1);
+    assert.ok(rule[0].equals(new Symbol('eps', false)));
+    assert.strictEqual(grammar.toText(), 'S -> <eps> | a\n<eps> -> b');
+    assert.strictEqual(Grammar.parse(grammar.toText()).toText(),
+                       grammar.toText());
+    // Three terminals are still quoted so as not to be read as epsilon, but
+    // the nonterminal e followed by ps is not.
+    assert.strictEqual(Grammar.parse('S -> "e"ps').toText(), 'S -> "e"ps');
+    assert.strictEqual(Grammar.parse('S -> eps\ne -> b').toText(),
+                       'S -> eps\ne -> b');
+  });
+
+  it('nonterminal names may be inherited property names', function() {
+    var grammar = Grammar.parse('constructor -> a');
+    assert.deepStrictEqual(grammar.nonterminals, ['constructor']);
+  });
+
+  it('toString lists the start symbol and the productions', function() {
+    assert.strictEqual(Grammar.parse('S -> aS | b').toString(),
+                       'Start symbol: S\nS → aS | b\n');
+  });
+});
+
+describe('Grammar.parse', function() {
+  it('toText reads back as the same grammar', function() {
+    var texts = [
+      'S -> aSb | ε',
+      'S -> 0S0 | 1S1 | 0 | 1 | ε',
+      'S -> T+T\nT -> 1 | 2 | 3 | 4',
+      'S -> "|" | " " | "\\"" | "S"',
+      '<Expr> -> <Term>+<Expr> | <Term>\n<Term> -> x | "if"'
+    ];
+    for (var i = 0; i < texts.length; i++) {
+      assert.strictEqual(Grammar.parse(texts[i]).toText(), texts[i]);
+    }
+  });
+
+  it('accepts other arrows, eps and continuation lines', function() {
+    var grammar = Grammar.parse('S ::= aSb\n  | eps\nT → t');
+    assert.strictEqual(grammar.toText(), 'S -> aSb | ε\nT -> t');
+  });
+
+  it('reads eps as a nonterminal of that name', function() {
+    var grammar = Grammar.parse('S -> eps | a\neps -> b');
+    var rule = grammar.productions.S.rhs[0].symbols;
+    assert.strictEqual(rule.length, 1);
+    assert.ok(rule[0].equals(new Symbol('eps', false)));
+    assert.strictEqual(grammar.toText(), 'S -> <eps> | a\n<eps> -> b');
+    assert.strictEqual(Grammar.parse(grammar.toText()).toText(),
+                       grammar.toText());
+    // Three terminals are still quoted so as not to be read as epsilon, but
+    // the nonterminal e followed by ps is not.
+    assert.strictEqual(Grammar.parse('S -> "e"ps').toText(), 'S -> "e"ps');
+    assert.strictEqual(Grammar.parse('S -> eps\ne -> b').toText(),
+                       'S -> eps\ne -> b');
+  });
+
+  it('reads multi-character nonterminals and terminals', function() {
+    var grammar = Grammar.parse('Expr -> Term "+" Expr | Term\n' +
+                                'Term -> "if" | x');
+    var rule = grammar.productions.Expr.rhs[0].symbols;
+    assert.strictEqual(rule.length, 3);
+    assert.ok(rule[0].equals(new Symbol('Term', false)));
+    assert.ok(rule[1].equals(new Symbol('+', true)));
+    assert.ok(grammar.productions.Term.rhs[0].symbols[0].equals(
+        new Symbol('if', true)));
+  });
+
+  it('reports the line and column of an error', function() {
+    var bad = [
+      ['S', 1, 2],
+      ['-> a', 1, 1],
+      ['S -> a\nS -> "a', 2, 6],
+      ['| a', 1, 1],
+      ['', 1, 1],
+      ['S T -> a', 1, 1]
+    ];
+    for (var i = 0; i < bad.length; i++) {
+      assert.throws(function() { Grammar.parse(bad[i][0]); }, function(e) {
+        return e instanceof GrammarSyntaxError && e.line === bad[i][1] &&
+               e.column === bad[i][2];
+      }, bad[i][0]);
+    }
+  });
+});
+
+describe('Grammar JSON', function() {
+  it('fromJSON reads back toJSON', function() {
+    var grammar = Grammar.parse('S -> a<Expr>b | ε\nExpr -> "if" | <Y>');
+    var copy = Grammar.fromJSON(JSON.parse(JSON.stringify(grammar)));
+    assert.strictEqual(copy.toText(), grammar.toText());
+    assert.deepStrictEqual(copy.nonterminals, ['S', 'Expr']);
+  });
+
+  it('fromJSON rejects malformed objects', function() {
+    var bad = [
+      null,
+      {nonterminals: []},
+      {start: 'S', nonterminals: [{name: 'S'}]},
+      {start: 'S', nonterminals: [{name: 'S', alternatives: ['a']}]},
+      {start: 'S', nonterminals: [{name: 'S', alternatives: [[{}]]}]}
+    ];
+    for (var i = 0; i < bad.length; i++) {
+      assert.throws(function() { Grammar.fromJSON(bad[i]); },
+                    GrammarFormatError);
+    }
+  });
+});
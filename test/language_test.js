@@ -0,0 +1,73 @@
+// Tests for language.js: listing the strings of a language and sampling
+// strings and derivations at random.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+var Earley = cfg.Earley;
+
+/**
+ * Returns a function like Math.random() that gives the same numbers for the
+ * same seed, so that the sampling tests are repeatable.
+ */
+function seededRandom(seed) {
+  return function() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+describe('Grammar.getLanguage', function() {
+  it('lists the strings by length and then lexicographically', function() {
+    // The grammar is ambiguous, but each string is listed once.
+    var grammar = Grammar.parse('S -> aSb | SS | ε');
+    var language = grammar.getLanguage(4);
+    assert.deepStrictEqual(language.strings, ['', 'ab', 'aabb', 'abab']);
+    assert.ok(!language.limitReached);
+    assert.deepStrictEqual(
+        Grammar.parse('E -> E+E | a').getLanguage(5).strings,
+        ['a', 'a+a', 'a+a+a']);
+  });
+
+  it('stops after maxCount strings', function() {
+    var grammar = Grammar.parse('S -> aSb | SS | ε');
+    var language = grammar.getLanguage(6, 3);
+    assert.deepStrictEqual(language.strings, ['', 'ab', 'aabb']);
+    assert.ok(language.limitReached);
+    assert.ok(!grammar.getLanguage(2, 2).limitReached);
+  });
+
+  it('is empty when no string is short enough', function() {
+    var language = Grammar.parse('S -> aaS | aaa').getLanguage(2);
+    assert.deepStrictEqual(language.strings, []);
+    assert.ok(!language.limitReached);
+  });
+});
+
+describe('Grammar sampling', function() {
+  var grammar = Grammar.parse('E -> E+E | (E) | a');
+  var earley = new Earley(grammar);
+
+  it('sampleStrings draws strings of the language', function() {
+    var strings = grammar.sampleStrings(15, 20, seededRandom(1));
+    assert.strictEqual(strings.length, 20);
+    for (var i = 0; i < strings.length; i++) {
+      assert.strictEqual(strings[i].length, 15);
+      assert.ok(earley.getMatchState(strings[i]), strings[i]);
+    }
+    assert.deepStrictEqual(grammar.sampleStrings(15, 5, seededRandom(2)),
+                           grammar.sampleStrings(15, 5, seededRandom(2)));
+    assert.deepStrictEqual(grammar.sampleStrings(2, 5), []);
+  });
+
+  it('sampleDerivation respects the depth limit', function() {
+    assert.strictEqual(grammar.sampleDerivation(0), null);
+    assert.strictEqual(grammar.sampleDerivation(1).getYield(), 'a');
+    for (var seed = 1; seed <= 10; seed++) {
+      var tree = grammar.sampleDerivation(6, seededRandom(seed));
+      assert.ok(earley.getMatchState(tree.getYield()), tree.getYield());
+    }
+  });
+});
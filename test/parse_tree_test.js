@@ -0,0 +1,50 @@
+// Tests for parse_tree.js: parse trees built from Earley derivations.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Symbol = cfg.Symbol;
+var Grammar = cfg.Grammar;
+var Earley = cfg.Earley;
+var ParseNode = cfg.ParseNode;
+
+describe('ParseNode', function() {
+  it('getParseTree builds the tree of the derivation', function() {
+    var earley = new Earley(Grammar.parse('S -> 0XX\nX -> ε | 1'));
+    assert.strictEqual(earley.getParseTree('01').toString(),
+                       'S(0 X(1) X(ε))');
+    earley = new Earley(Grammar.parse('S -> aSb | ε'));
+    var tree = earley.getParseTree('aabb');
+    assert.strictEqual(tree.toString(), 'S(a S(a S(ε) b) b)');
+    assert.strictEqual(tree.getYield(), 'aabb');
+    assert.strictEqual(earley.getParseTree('aab'), null);
+  });
+
+  it('getLeftmostDerivation lists the sentential forms', function() {
+    var earley = new Earley(Grammar.parse('S -> aSb | ε'));
+    var nonterminals = {S: true};
+    var forms = earley.getParseTree('aabb').getLeftmostDerivation()
+                      .map(function(form) {
+      return form.toText(nonterminals);
+    });
+    assert.deepStrictEqual(forms, ['S', 'aSb', 'aaSbb', 'aabb']);
+    earley = new Earley(Grammar.parse('S -> AB\nA -> a\nB -> b'));
+    forms = earley.getParseTree('ab').getLeftmostDerivation()
+                  .map(function(form) {
+      return form.toText({S: true, A: true, B: true});
+    });
+    assert.deepStrictEqual(forms, ['S', 'AB', 'aB', 'ab']);
+  });
+
+  it('equals compares the whole tree', function() {
+    var earley = new Earley(Grammar.parse('S -> aSb | ε'));
+    assert.ok(earley.getParseTree('ab').equals(earley.getParseTree('ab')));
+    assert.ok(!earley.getParseTree('ab').equals(
+        earley.getParseTree('aabb')));
+    var leaf = new ParseNode(new Symbol('a', true));
+    assert.ok(leaf.isLeaf() && !leaf.isEpsilon());
+    assert.ok(new ParseNode(null).isEpsilon());
+    assert.ok(!leaf.equals(new ParseNode(null)));
+  });
+});
@@ -0,0 +1,100 @@
+// Tests for test_case.js: test strings with expected results.
+
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var assert = require('node:assert');
+var cfg = require('../js/cfg.js');
+var Grammar = cfg.Grammar;
+var GrammarFormatError = cfg.GrammarFormatError;
+var TestCase = cfg.TestCase;
+
+describe('TestCase', function() {
+  it('parseLines reads the expectations', function() {
+    // Only a sign followed by a space is an expectation, so +a is an
+    // ordinary test string.
+    var testCases = TestCase.parseLines('+ ab\n- \n+a\r\nb');
+    assert.deepStrictEqual(testCases.map(function(testCase) {
+      return [testCase.string, testCase.expected];
+    }), [['ab', true], ['', false], ['+a', null], ['b', null]]);
+  });
+
+  it('toLine reads back as the same TestCase', function() {
+    var lines = ['+ ab', '- ', '+a', 'b'];
+    for (var i = 0; i < lines.length; i++) {
+      assert.strictEqual(TestCase.parse(lines[i]).toLine(), lines[i]);
+    }
+  });
+
+  it('toLine has no line for strings that would not read back', function() {
+    // Without an expectation, + a would be read as the string a expected to
+    // match.
+    assert.strictEqual(new TestCase('+ a', null).toLine(), null);
+    assert.strictEqual(new TestCase('- ', null).toLine(), null);
+    assert.strictEqual(new TestCase('a\nb', true).toLine(), null);
+    assert.strictEqual(new TestCase('a\r', null).toLine(), null);
+    var testCases = [new TestCase('+ a', true), new TestCase('- a', false)];
+    for (var i = 0; i < testCases.length; i++) {
+      var parsed = TestCase.parse(testCases[i].toLine());
+      assert.deepStrictEqual(parsed.toJSON(), testCases[i].toJSON());
+    }
+  });
+
+  it('passes compares the result with the expectation', function() {
+    assert.strictEqual(new TestCase('ab', true).passes(true), true);
+    assert.strictEqual(new TestCase('ab', true).passes(false), false);
+    assert.strictEqual(new TestCase('ab', false).passes(false), true);
+    assert.strictEqual(new TestCase('ab', null).passes(true), null);
+  });
+
+  it('fromJSON reads back toJSON', function() {
+    var testCase = TestCase.fromJSON({string: 'ab', expected: false});
+    assert.strictEqual(testCase.toLine(), '- ab');
+    assert.deepStrictEqual(testCase.toJSON(), {string: 'ab', expected: false});
+    assert.strictEqual(TestCase.fromJSON({string: 'ab'}).expected, null);
+    assert.strictEqual(TestCase.fromJSON({expected: true}), null);
+    assert.strictEqual(TestCase.fromJSON({string: 'ab', expected: 1}), null);
+    assert.strictEqual(TestCase.fromJSON(null), null);
+  });
+});
+
+describe('Grammar documents', function() {
+  var grammar = Grammar.parse('S -> aSb | ε');
+
+  it('readDocument reads back toDocument', function() {
+    var grammarDocument = grammar.toDocument(TestCase.parseLines('+ ab\nb'));
+    assert.strictEqual(grammarDocument.version, Grammar.DOCUMENT_VERSION);
+    var result = Grammar.readDocument(
+        JSON.parse(JSON.stringify(grammarDocument)));
+    assert.strictEqual(result.grammar.toText(), grammar.toText());
+    assert.deepStrictEqual(result.testCases.map(function(testCase) {
+      return testCase.toLine();
+    }), ['+ ab', 'b']);
+  });
+
+  it('readDocument allows the tests to be left out', function() {
+    var grammarDocument = grammar.toDocument([]);
+    delete grammarDocument.tests;
+    assert.deepStrictEqual(Grammar.readDocument(grammarDocument).testCases,
+                           []);
+  });
+
+  it('readDocument rejects invalid documents', function() {
+    var bad = [
+      null,
+      grammar.toJSON(),
+      {version: 1, start: 'S', nonterminals: {}, tests: []},
+      {version: 1, start: 'S', nonterminals: [{name: 'S', alternatives: []}],
+       tests: {}},
+      {version: 1, start: 'S', nonterminals: [{name: 'S', alternatives: []}],
+       tests: [{expected: true}]},
+      {version: 1, start: 'S', nonterminals: [{name: 'S', alternatives: []}],
+       tests: [{string: '+ a'}]},
+      {version: 1, start: 'S', nonterminals: [{name: 'S', alternatives: []}],
+       tests: [{string: 'a\nb', expected: true}]}
+    ];
+    for (var i = 0; i < bad.length; i++) {
+      assert.throws(function() { Grammar.readDocument(bad[i]); },
+                    GrammarFormatError, JSON.stringify(bad[i]));
+    }
+  });
+});